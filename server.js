@@ -4,9 +4,14 @@ import http from "http";
 import {  WebSocketServer } from "ws";
 import { v4 as uuidv4 } from "uuid";
 import fs from "fs";
+import crypto from "crypto";
+import { spawn, execFile } from "child_process";
+import { AsyncLocalStorage } from "async_hooks";
+import os from "os";
 import path from "path";
 import { fileURLToPath } from "url";
 import OpenAI from "openai";
+import YAML from "yaml";
 
 dotenv.config();
 
@@ -21,44 +26,69 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 
+/* --------------------- Origin allowlist --------------------- */
+/** ALLOWED_ORIGINS: comma-separated browser origins allowed for both CORS and WebSocket upgrades.
+ * - exact:              https://app.example.com
+ * - wildcard subdomain: https://*.example.com (any subdomain depth, not example.com itself)
+ * - any port:           http://localhost:*
+ * Scheme, host and port must match exactly otherwise. Requests without an Origin header
+ * (curl, server-to-server) are not browser requests and pass; authentication still applies.
+ * The default only covers local development: deployed on Cloud Run (K_SERVICE is set there) the
+ * server refuses to start without ALLOWED_ORIGINS. NODE_ENV can't tell, it is forced above.
+ */
+const DEFAULT_ALLOWED_ORIGINS = "http://localhost:*,http://127.0.0.1:*";
+
+// "https://*.example.com" -> anchored RegExp, or null when the pattern isn't an origin
+function compileOriginPattern(pattern) {
+  const m = pattern.match(/^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d+|\*))?$/i);
+  if (!m) return null;
+  const [, scheme, wildcard, host, port] = m;
+  const subdomains = wildcard ? "(?:[a-z0-9-]+\\.)+" : "";
+  const portPart = port === "*" ? "(?::\\d+)?" : port ? `:${port}` : "";
+  return new RegExp(`^${scheme.toLowerCase()}:\\/\\/${subdomains}${host.toLowerCase().replace(/\./g, "\\.")}${portPart}$`);
+}
+
+function loadOriginAllowlist(value) {
+  const patterns = [];
+  for (const entry of value.split(",").map((e) => e.trim()).filter(Boolean)) {
+    const pattern = compileOriginPattern(entry);
+    if (pattern) {
+      patterns.push(pattern);
+    } else {
+      console.warn(`Ignoring invalid ALLOWED_ORIGINS entry: ${entry}`);
+    }
+  }
+  return patterns;
+}
+
+if (process.env.K_SERVICE && !process.env.ALLOWED_ORIGINS?.trim()) {
+  console.error("ALLOWED_ORIGINS is not set: list the frontend origins allowed to call this server, e.g. https://app.example.com");
+  process.exit(1);
+}
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ?? DEFAULT_ALLOWED_ORIGINS;
+const ORIGIN_ALLOWLIST = loadOriginAllowlist(ALLOWED_ORIGINS);
+console.log(`Allowed origins: ${ALLOWED_ORIGINS || "(none)"}`);
+
+// Same check for HTTP requests and WebSocket upgrades
+// No Origin header means no browser, so there is no cross-origin page to protect against; this
+// is only safe because every request besides /health must still authenticate (see Authentication)
+function isAllowedOrigin(origin) {
+  if (!origin) return true;
+  const normalized = String(origin).toLowerCase();
+  return ORIGIN_ALLOWLIST.some((pattern) => pattern.test(normalized));
+}
+
 // CORS middleware for Express
 app.use((req, res, next) => {
   const origin = req.headers.origin;
-  
-  // Function to check if origin is allowed
-  const isAllowedOrigin = (origin) => {
-    if (!origin) return false;
-    
-    // Allow localhost with any port
-    if (origin.match(/^https?:\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0)(:\d+)?$/)) {
-      return true;
-    }
-    
-    // Allow Vercel domains
-    if (origin.includes('vercel.app')) {
-      return true;
-    }
-    
-    // Allow Google Cloud Run domains
-    if (origin.includes('.run.app')) {
-      return true;
-    }
-    
-    // Allow custom domains (HTTPS only in production)
-    if (process.env.NODE_ENV === 'production' && origin.startsWith('https://')) {
-      return true; // Allow any HTTPS origin in production (for custom domains)
-    }
-    
-    // In development, allow all origins for easier testing
-    if (process.env.NODE_ENV !== 'production') {
-      return true;
-    }
-    
-    return false;
-  };
-  
-  if (isAllowedOrigin(origin)) {
+
+  if (!isAllowedOrigin(origin)) {
+    console.warn(`Request rejected from origin: ${origin}`);
+    return res.status(403).json({ error: "origin_not_allowed" });
+  }
+  if (origin) {
     res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
   }
   
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
@@ -74,53 +104,31 @@ app.use((req, res, next) => {
 
 const server = http.createServer(app);
 
-// WebSocket CORS verification function
-const verifyClient = (info) => {
+// WebSocket origin verification - the same allowlist as CORS
+const verifyClient = (info, done) => {
   const origin = info.origin;
-  
-  // Function to check if origin is allowed for WebSocket
-  const isAllowedOrigin = (origin) => {
-    if (!origin) return true; // Allow connections without origin (e.g., Postman, curl)
-    
-    // Allow localhost with any port
-    if (origin.match(/^https?:\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0)(:\d+)?$/)) {
-      return true;
-    }
-    
-    // Allow Vercel domains
-    if (origin.includes('vercel.app')) {
-      return true;
-    }
-    
-    // Allow Google Cloud Run domains
-    if (origin.includes('.run.app')) {
-      return true;
-    }
-    
-    // Allow custom domains (HTTPS only in production)
-    if (process.env.NODE_ENV === 'production' && origin.startsWith('https://')) {
-      return true; // Allow any HTTPS origin in production (for custom domains)
-    }
-    
-    // In development, allow all origins for easier testing
-    if (process.env.NODE_ENV !== 'production') {
-      return true;
-    }
-    
-    return false;
-  };
-  
-  const allowed = isAllowedOrigin(origin);
-  if (!allowed && origin) {
+  if (!isAllowedOrigin(origin)) {
     console.warn(`WebSocket connection rejected from origin: ${origin}`);
+    return done(false, 403, "Origin not allowed");
   }
-  return allowed;
+  // Checked during the upgrade, but reported after it: browsers only see close codes, so the
+  // connection handler closes unauthenticated sockets with 4401 / 4403
+  info.req.authResult = authenticateRequest(info.req, { allowQuery: true });
+  done(true);
 };
 
+// Limits for one recorded answer, checked as the binary frames arrive (see Transcription).
+// The default byte limit is the largest file Whisper accepts. The time limit is how long the
+// upload may take from answer_audio_start, not the length of the audio: it matches the
+// recording's length only for a client that streams while the candidate speaks.
+const MAX_ANSWER_AUDIO_BYTES = Number(process.env.MAX_ANSWER_AUDIO_BYTES || 25 * 1024 * 1024);
+const ANSWER_UPLOAD_TIME_LIMIT_SECONDS = Number(process.env.ANSWER_UPLOAD_TIME_LIMIT_SECONDS || 300);
+
 const wss = new WebSocketServer({ 
   server,
-  verifyClient, // CORS verification for WebSocket connections
-  perMessageDeflate: false
+  verifyClient, // origin allowlist for WebSocket connections
+  perMessageDeflate: false,
+  maxPayload: MAX_ANSWER_AUDIO_BYTES, // no single frame may be larger than a whole answer
 });
 
 // Add ping interval to keep connections alive (only in production to prevent load balancer timeouts)
@@ -186,7 +194,487 @@ console.log('OpenAI API Key configured:', OPENAI_API_KEY ? 'Yes' : 'No');
 
 // Google Cloud Run uses PORT env var, default to 8080 for production
 const PORT = Number(process.env.PORT || (process.env.NODE_ENV === 'production' ? 8080 : 3001));
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+
+/* --------------------- Authentication --------------------- */
+/** Every WebSocket connection and REST call (except /health) needs a credential:
+ * - a JWT signed with AUTH_JWT_SECRET (HS256), or
+ * - an API key listed (as its SHA-256) in API_KEYS_FILE (JSON or YAML, default ./config/api-keys.yaml)
+ * sent as "Authorization: Bearer <token>", or as ?access_token=<token> for browser WebSockets,
+ * which can't set headers. REST calls need the header: query strings end up in access logs.
+ *
+ * JWT claims / API key fields:
+ *   tenant         required - sessions are only visible within their tenant
+ *   role           "candidate" (default): interviews, and REST access to their own sessions
+ *                  "admin": interviews, and every session of the tenant
+ *                  "reviewer": REST access to every session of the tenant, no interviews
+ *   candidate      candidate id (JWT: or sub); owns the sessions started with this credential.
+ *                  Required for the candidate role, so their sessions can be told apart
+ *   candidateName  used as the interview's candidate name
+ *   interview      permitted configuration: { rounds: [...], languages: [...], maxTurns: n }
+ *   exp            required for JWTs
+ * AUTH_DISABLED=true turns this off (local development); the server refuses to start with
+ * neither a JWT secret nor API keys otherwise.
+ */
+const AUTH_DISABLED = process.env.AUTH_DISABLED === "true";
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || "";
+const AUTH_JWT_ISSUER = process.env.AUTH_JWT_ISSUER || "";
+const AUTH_JWT_AUDIENCE = process.env.AUTH_JWT_AUDIENCE || "";
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, "config", "api-keys.yaml");
+const JWT_CLOCK_SKEW_SECONDS = 30;
+const AUTH_ROLES = ["candidate", "admin", "reviewer"];
+
+// Custom close codes (4000-4999) for sockets that fail authentication
+const WS_CLOSE_UNAUTHORIZED = 4401; // missing, invalid or expired credential
+const WS_CLOSE_FORBIDDEN = 4403;    // valid credential whose role can't run interviews
+
+// Credential used for everything when AUTH_DISABLED=true
+const ANONYMOUS_AUTH = { kind: "none", tenant: null, role: "admin", candidate: null, candidateName: null, interview: {} };
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+function loadApiKeys(file) {
+  const keys = new Map(); // sha256 of the key -> claims
+  if (!fs.existsSync(file)) {
+    return keys;
+  }
+  try {
+    const raw = fs.readFileSync(file, "utf8");
+    const parsed = path.extname(file).toLowerCase() === ".json" ? JSON.parse(raw) : YAML.parse(raw);
+    const entries = Array.isArray(parsed) ? parsed : parsed?.apiKeys;
+    if (!Array.isArray(entries)) {
+      console.warn(`Ignoring ${file}: expected a list of API keys or { apiKeys: [...] }`);
+      return keys;
+    }
+    for (const entry of entries) {
+      if (typeof entry?.keySha256 !== "string" || !/^[0-9a-f]{64}$/i.test(entry.keySha256)) {
+        console.warn(`Skipping API key ${entry?.id ?? "(no id)"} in ${file}: keySha256 must be a SHA-256 hex digest`);
+        continue;
+      }
+      const { problem } = toAuthContext("api_key", entry);
+      if (problem) {
+        console.warn(`Skipping API key ${entry.id ?? "(no id)"} in ${file}: ${problem}`);
+        continue;
+      }
+      keys.set(entry.keySha256.toLowerCase(), entry);
+    }
+  } catch (err) {
+    console.warn(`Could not load API keys from ${file}:`, err.message);
+  }
+  return keys;
+}
+
+const API_KEYS = loadApiKeys(API_KEYS_FILE);
+
+if (AUTH_DISABLED) {
+  console.warn("Authentication is DISABLED (AUTH_DISABLED=true) - anyone who can reach the server can use it");
+} else if (!AUTH_JWT_SECRET && API_KEYS.size === 0) {
+  console.error(`No credentials configured: set AUTH_JWT_SECRET or add API keys to ${API_KEYS_FILE} (or AUTH_DISABLED=true for local development)`);
+  process.exit(1);
+} else {
+  console.log(`Authentication: ${[AUTH_JWT_SECRET && "JWT (HS256)", API_KEYS.size > 0 && `${API_KEYS.size} API key(s)`].filter(Boolean).join(", ")}`);
+}
+
+// Claims from a verified token or API key entry -> auth context, or a problem description
+function toAuthContext(kind, claims) {
+  if (typeof claims.tenant !== "string" || !claims.tenant.trim()) return { problem: "missing tenant" };
+  const role = claims.role ?? "candidate";
+  if (!AUTH_ROLES.includes(role)) return { problem: `unknown role ${role}` };
+  const interview = claims.interview ?? {};
+  if (typeof interview !== "object" || Array.isArray(interview)) return { problem: "interview must be an object" };
+  for (const key of ["rounds", "languages"]) {
+    if (interview[key] !== undefined && !(Array.isArray(interview[key]) && interview[key].every((v) => typeof v === "string"))) {
+      return { problem: `interview.${key} must be a list of ids` };
+    }
+  }
+  if (interview.maxTurns !== undefined && !(Number.isInteger(interview.maxTurns) && interview.maxTurns >= 1)) {
+    return { problem: "interview.maxTurns must be a positive integer" };
+  }
+  const candidate = claims.candidate ?? (kind === "jwt" ? claims.sub : undefined);
+  if (role === "candidate" && (candidate === undefined || candidate === null || String(candidate).trim() === "")) {
+    return { problem: "missing candidate id for the candidate role" };
+  }
+  return {
+    auth: {
+      kind,
+      tenant: claims.tenant,
+      role,
+      candidate: candidate !== undefined && candidate !== null ? String(candidate) : null,
+      candidateName: typeof claims.candidateName === "string" ? claims.candidateName : null,
+      interview,
+    },
+  };
+}
+
+// Verifies an HS256 JWT; returns { claims } or { error, problem }
+function verifyJwt(token) {
+  const [headerPart, payloadPart, signaturePart] = token.split(".");
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(headerPart, "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(payloadPart, "base64url").toString("utf8"));
+  } catch {
+    return { error: "invalid_token", problem: "malformed JWT" };
+  }
+  if (header?.alg !== "HS256") {
+    return { error: "invalid_token", problem: `unsupported algorithm ${header?.alg}` };
+  }
+  const expected = crypto.createHmac("sha256", AUTH_JWT_SECRET).update(`${headerPart}.${payloadPart}`).digest();
+  const signature = Buffer.from(signaturePart, "base64url");
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return { error: "invalid_token", problem: "bad signature" };
+  }
+  if (!claims || typeof claims !== "object") {
+    return { error: "invalid_token", problem: "claims must be an object" };
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number") {
+    return { error: "invalid_token", problem: "missing exp" };
+  }
+  if (now > claims.exp + JWT_CLOCK_SKEW_SECONDS) {
+    return { error: "token_expired", problem: "token expired" };
+  }
+  if (typeof claims.nbf === "number" && now + JWT_CLOCK_SKEW_SECONDS < claims.nbf) {
+    return { error: "invalid_token", problem: "token not valid yet" };
+  }
+  if (AUTH_JWT_ISSUER && claims.iss !== AUTH_JWT_ISSUER) {
+    return { error: "invalid_token", problem: "wrong issuer" };
+  }
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (AUTH_JWT_AUDIENCE && !audiences.includes(AUTH_JWT_AUDIENCE)) {
+    return { error: "invalid_token", problem: "wrong audience" };
+  }
+  return { claims };
+}
+
+// Compares a secret sent by a client with the stored one in constant time
+function secretMatches(given, expected) {
+  if (typeof given !== "string" || typeof expected !== "string") return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Bearer header, or (allowQuery: WebSocket upgrades only) ?access_token=
+function credentialFromRequest(req, { allowQuery = false } = {}) {
+  const header = req.headers.authorization || "";
+  const bearer = header.match(/^Bearer\s+(.+)$/i)?.[1];
+  if (bearer) return bearer.trim();
+  if (!allowQuery) return null;
+  return new URL(req.url || "/", "http://localhost").searchParams.get("access_token") || null;
+}
+
+// Works on any http.IncomingMessage (WebSocket upgrade or Express request).
+// Returns { auth } or { error: "unauthorized" | "invalid_token" | "token_expired", problem }.
+function authenticateRequest(req, { allowQuery = false } = {}) {
+  if (AUTH_DISABLED) {
+    return { auth: ANONYMOUS_AUTH };
+  }
+  const token = credentialFromRequest(req, { allowQuery });
+  if (!token) {
+    return { error: "unauthorized", problem: "no credential" };
+  }
+
+  let kind;
+  let claims;
+  if (token.split(".").length === 3 && AUTH_JWT_SECRET) {
+    const verified = verifyJwt(token);
+    if (verified.error) return verified;
+    kind = "jwt";
+    claims = verified.claims;
+  } else {
+    claims = API_KEYS.get(sha256(token));
+    if (!claims) {
+      return { error: "invalid_token", problem: "unknown API key" };
+    }
+    kind = "api_key";
+  }
+
+  const { auth, problem } = toAuthContext(kind, claims);
+  return auth ? { auth } : { error: "invalid_token", problem };
+}
+
+// Whether a session record may be seen (REST) or resumed with this credential
+function canAccessSession(auth, record) {
+  if (auth.kind === "none") return true;
+  if (record.owner?.tenant !== auth.tenant) return false;
+  return auth.role !== "candidate" || record.owner.candidate === auth.candidate;
+}
+
+// Problem description when the credential doesn't permit this interview configuration, else null
+function checkInterviewPermissions(auth, { round, language, maxTurns }) {
+  const { rounds, languages, maxTurns: maxTurnsAllowed } = auth.interview;
+  if (rounds && !rounds.includes(round)) return `round "${round}" is not permitted (allowed: ${rounds.join(", ")})`;
+  if (languages && !languages.includes(language)) return `language "${language}" is not permitted (allowed: ${languages.join(", ")})`;
+  if (maxTurnsAllowed && maxTurns > maxTurnsAllowed) return `maxTurns ${maxTurns} is above the permitted ${maxTurnsAllowed}`;
+  return null;
+}
+
+// Express middleware: req.auth, or 401 with the reason code
+function requireAuth(req, res, next) {
+  const { auth, error, problem } = authenticateRequest(req);
+  if (!auth) {
+    console.warn(`Rejected ${req.method} ${req.path}: ${problem}`);
+    res.setHeader("WWW-Authenticate", `Bearer error="${error === "unauthorized" ? "invalid_request" : "invalid_token"}"`);
+    return res.status(401).json({ error });
+  }
+  req.auth = auth;
+  next();
+}
+
+/* --------------------- AI providers --------------------- */
+/** Each capability sits behind a small provider interface, picked by configuration:
+ * - llm: complete(messages, { model, temperature, task, onUsage }) -> text
+ *        stream(messages, { model, temperature, task, onUsage }, onDelta) -> full text
+ * - stt: transcribe(filePath, { language, prompt, onUsage }) -> text
+ * - tts: synthesize(text, { voice, format, onUsage }) -> Buffer
+ * onUsage (optional) receives what the call consumed, for usage accounting:
+ *   { model, inputTokens, outputTokens } / { model, audioSeconds } / { model, characters }
+ *
+ * "openai" talks to any OpenAI-compatible API (set *_BASE_URL for local or self-hosted models).
+ * "mock" needs no network: canned text per task, a fixed transcription and silent audio.
+ * AI_PROVIDER sets all three; LLM_PROVIDER / STT_PROVIDER / TTS_PROVIDER override one.
+ */
+
+function createOpenAIClient(capability) {
+  return new OpenAI({
+    apiKey: process.env[`${capability}_API_KEY`] || OPENAI_API_KEY,
+    baseURL: process.env[`${capability}_BASE_URL`] || process.env.OPENAI_BASE_URL || undefined,
+  });
+}
+
+function createOpenAILLMProvider() {
+  const client = createOpenAIClient("LLM");
+  const defaultModel = process.env.LLM_MODEL || "gpt-4o-mini";
+  return {
+    name: "openai",
+    async complete(messages, { model = defaultModel, temperature = 0.5, onUsage } = {}) {
+      const res = await client.chat.completions.create({ model, temperature, messages });
+      onUsage?.({ model, inputTokens: res.usage?.prompt_tokens ?? 0, outputTokens: res.usage?.completion_tokens ?? 0 });
+      return res.choices?.[0]?.message?.content ?? "";
+    },
+    async stream(messages, { model = defaultModel, temperature = 0.5, onUsage } = {}, onDelta = () => {}) {
+      const stream = await client.chat.completions.create({
+        model,
+        temperature,
+        messages,
+        stream: true,
+        stream_options: { include_usage: true }, // usage arrives on the last chunk
+      });
+      let content = "";
+      let usage = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content ?? "";
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+      onUsage?.({ model, inputTokens: usage?.prompt_tokens ?? 0, outputTokens: usage?.completion_tokens ?? 0 });
+      return content;
+    },
+  };
+}
+
+function createOpenAISTTProvider() {
+  const client = createOpenAIClient("STT");
+  const model = process.env.STT_MODEL || "whisper-1";
+  return {
+    name: "openai",
+    async transcribe(filePath, { language = "en", prompt, onUsage } = {}) {
+      const resp = await client.audio.transcriptions.create({
+        model,
+        file: fs.createReadStream(filePath),
+        // whisper-1 reports the audio duration only in verbose_json; newer models return usage
+        response_format: model === "whisper-1" ? "verbose_json" : "json",
+        temperature: 0,
+        language,
+        ...(prompt ? { prompt } : {}),
+      });
+      onUsage?.({ model, audioSeconds: resp.usage?.seconds ?? resp.duration ?? 0 });
+      return (resp.text || "").trim();
+    },
+  };
+}
+
+function createOpenAITTSProvider() {
+  const client = createOpenAIClient("TTS");
+  const model = process.env.TTS_MODEL || "tts-1"; // tts-1 has better multilingual support
+  return {
+    name: "openai",
+    async synthesize(text, { voice = "alloy", format = "mp3", onUsage } = {}) {
+      const audio = await client.audio.speech.create({
+        model,
+        voice,
+        input: text,
+        format, // "mp3" | "wav"
+        // Note: OpenAI TTS auto-detects language from text, no language parameter available
+      });
+      onUsage?.({ model, characters: text.length });
+      return Buffer.from(await audio.arrayBuffer());
+    },
+  };
+}
+
+const MOCK_LLM_DEFAULT_REPLY = "Thank you. Could you tell me a little more about that?";
+
+// Canned mock replies, keyed by the task passed to llm()/llmStream() (a function gets the messages)
+const MOCK_LLM_REPLIES = {
+  persona: "You are a calm, friendly interviewer. Keep questions short and ask one relevant follow-up at a time.",
+  greeting: "Hello and welcome, thanks for joining today. Could you please introduce yourself in about thirty seconds before we begin?",
+  interviewer_turn: "Thanks for sharing that. Can you walk me through a recent project where you solved a difficult problem, and what you would do differently today?",
+  // Echo the quoted bank question so mock interviews follow the question plan
+  bank_question: (messages) => {
+    const prompt = messages[messages.length - 1]?.content || "";
+    const question = prompt.match(/question bank:\n"([^"]+)"/)?.[1];
+    return question ? `Thank you. ${question}` : MOCK_LLM_DEFAULT_REPLY;
+  },
+  relevance_check: "YES",
+  // Recognize the asides the mock transcript can be set to (MOCK_TRANSCRIPT)
+  answer_intent: (messages) => {
+    const reply = (messages[messages.length - 1]?.content || "").match(/The candidate replied[^\n]*\n"([\s\S]*)"\n\nClassify/)?.[1] || "";
+    if (/\b(repeat|say that again)\b/i.test(reply)) return "repeat";
+    if (/\b(what do you mean|clarify)\b/i.test(reply)) return "clarify";
+    return "answer";
+  },
+  resume_profile: JSON.stringify({
+    summary: "Backend engineer with four years of Node.js experience.",
+    experience: [{ title: "Backend Engineer", company: "Acme", period: "2021-2025", highlights: ["Built the payments API serving 2,000 requests per second"] }],
+    skills: ["Node.js", "PostgreSQL", "Kafka"],
+    projects: [{ name: "Ledger", description: "Event-sourced ledger service; designed the event schema", technologies: ["Kafka", "PostgreSQL"] }],
+  }),
+  clarification: "Let me put it another way: I would like to hear about one concrete project of yours and the hardest problem you solved in it. Take your time.",
+  answer_assessment: JSON.stringify({
+    relevance: 7,
+    correctness: 7,
+    depth: 6,
+    notes: "Relevant answer with a concrete example; could go deeper into trade-offs.",
+  }),
+  // Score whatever dimensions the rubric prompt asks for
+  rubric: (messages) => {
+    const prompt = messages[0]?.content || "";
+    const dimensions = [...prompt.matchAll(/^ {2}"(\w+)": n \(0-10\),$/gm)].map((m) => m[1]);
+    return JSON.stringify({
+      ...Object.fromEntries(dimensions.map((d, idx) => [d, 6 + (idx % 3)])),
+      answer_quality: "good",
+      strengths: ["Clear structure", "Relevant examples"],
+      improvements: Object.fromEntries(
+        dimensions.filter((d) => d !== "relevance").map((d) => [d, `Give one more concrete example for ${d.replace(/_/g, " ")}.`])
+      ),
+      hiring_tips: ["Practice concise answers", "Prepare project stories", "Ask clarifying questions"],
+      dos: ["Structure answers", "Use examples", "Stay calm"],
+      donts: ["Ramble", "Guess silently", "Skip trade-offs"],
+      notes: "Mock evaluation generated without calling a model.",
+    });
+  },
+  transcript_summary: "The interviewer asked about recent projects and debugging. The candidate described building APIs in Node with concrete examples but said little about trade-offs.",
+  summary: "Thank you for the interview. You communicated clearly and gave relevant examples. Keep practicing explaining trade-offs and structuring longer answers. Well done overall.",
+};
+
+function createMockLLMProvider() {
+  const reply = (task, messages) => {
+    const canned = MOCK_LLM_REPLIES[task] ?? MOCK_LLM_DEFAULT_REPLY;
+    return typeof canned === "function" ? canned(messages) : canned;
+  };
+  // Roughly 4 characters per token, so usage accounting has something to count
+  const reportUsage = (onUsage, messages, text) => onUsage?.({
+    model: "mock",
+    inputTokens: Math.ceil(messages.reduce((sum, m) => sum + String(m.content || "").length, 0) / 4),
+    outputTokens: Math.ceil(text.length / 4),
+  });
+  return {
+    name: "mock",
+    async complete(messages, { task, onUsage } = {}) {
+      const text = reply(task, messages);
+      reportUsage(onUsage, messages, text);
+      return text;
+    },
+    async stream(messages, { task, onUsage } = {}, onDelta = () => {}) {
+      const text = reply(task, messages);
+      // Word by word, like a real stream
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        onDelta(piece);
+      }
+      reportUsage(onUsage, messages, text);
+      return text;
+    },
+  };
+}
+
+function createMockSTTProvider() {
+  return {
+    name: "mock",
+    async transcribe(filePath, { onUsage } = {}) {
+      // Duration estimated from the file size at ~128 kbps
+      onUsage?.({ model: "mock", audioSeconds: Math.round(fs.statSync(filePath).size / 1600) / 10 });
+      // MOCK_TRANSCRIPT="" simulates an answer in which nothing was recognized
+      return process.env.MOCK_TRANSCRIPT ?? "This is a mock transcription of the candidate's answer.";
+    },
+  };
+}
+
+// Silent audio whose length roughly follows the text (~15 characters per second of speech)
+function silentAudio(text, format) {
+  const seconds = Math.min(30, Math.max(0.5, text.length / 15));
+  if (format === "wav") {
+    const sampleRate = 16000;
+    const dataSize = Math.round(seconds * sampleRate) * 2; // 16-bit mono
+    const buf = Buffer.alloc(44 + dataSize);
+    buf.write("RIFF", 0, "ascii");
+    buf.writeUInt32LE(36 + dataSize, 4);
+    buf.write("WAVEfmt ", 8, "ascii");
+    buf.writeUInt32LE(16, 16); // fmt chunk size
+    buf.writeUInt16LE(1, 20); // PCM
+    buf.writeUInt16LE(1, 22); // mono
+    buf.writeUInt32LE(sampleRate, 24);
+    buf.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    buf.writeUInt16LE(2, 32); // block align
+    buf.writeUInt16LE(16, 34); // bits per sample
+    buf.write("data", 36, "ascii");
+    buf.writeUInt32LE(dataSize, 40);
+    return buf;
+  }
+  // MP3: repeat one silent MPEG-1 Layer III frame (128 kbps, 44.1 kHz, 1152 samples ≈ 26 ms)
+  const frame = Buffer.alloc(417);
+  Buffer.from([0xff, 0xfb, 0x90, 0x64]).copy(frame);
+  const frames = Math.ceil((seconds * 44100) / 1152);
+  return Buffer.concat(Array.from({ length: frames }, () => frame));
+}
+
+function createMockTTSProvider() {
+  return {
+    name: "mock",
+    async synthesize(text, { format = "mp3", onUsage } = {}) {
+      onUsage?.({ model: "mock", characters: text.length });
+      return silentAudio(text, format);
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  llm: { openai: createOpenAILLMProvider, mock: createMockLLMProvider },
+  stt: { openai: createOpenAISTTProvider, mock: createMockSTTProvider },
+  tts: { openai: createOpenAITTSProvider, mock: createMockTTSProvider },
+};
+
+function createProvider(capability) {
+  const kind = (process.env[`${capability.toUpperCase()}_PROVIDER`] || process.env.AI_PROVIDER || "openai").toLowerCase();
+  const factory = PROVIDER_FACTORIES[capability][kind];
+  if (!factory) {
+    throw new Error(`Unknown ${capability.toUpperCase()} provider "${kind}" (expected one of: ${Object.keys(PROVIDER_FACTORIES[capability]).join(", ")})`);
+  }
+  return factory();
+}
+
+const providers = {
+  llm: createProvider("llm"),
+  stt: createProvider("stt"),
+  tts: createProvider("tts"),
+};
+console.log(`AI providers: llm=${providers.llm.name}, stt=${providers.stt.name}, tts=${providers.tts.name}`);
 
 /* --------------------- Schema & State --------------------- */
 /** Conversational (voice-only) interview:
@@ -194,39 +682,48 @@ const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
  * - We keep full transcript with speaker roles
  * - Persona (styleTemplate) created once via LangGraph
  */
+// Every field must be declared here: LangGraph drops undeclared keys from the state it returns
 const InterviewState = Annotation.Root({
-  candidateName: { type: "string", optional: true },
-  role: { type: "string" },
-  roleId: { type: "string", optional: true },
-  customJobRole: { type: "string", optional: true },
-  jobDescription: { type: "string", optional: true },
-  isSelfPrep: { type: "boolean", optional: true },
-  company: { type: "string", optional: true },
-  selectedCompany: { type: "string", optional: true },
-  customCompany: { type: "string", optional: true },
-  selectedLanguage: { type: "string", optional: true },
-  selectedRound: { type: "string", optional: true },
-  level: { type: "string" },
-  language: { type: "string" },
-
-  styleTemplate: { type: "string", optional: true },
-
-  // conversational transcript (not just Q/A)
-  transcript: {
-    type: "array",
-    items: {
-      type: "object",
-      properties: {
-        from: { type: "string" }, // "interviewer" | "candidate"
-        text: { type: "string" }
-      }
-    }
-  },
+  candidateName: Annotation(),    // string, optional
+  role: Annotation(),             // string
+  roleId: Annotation(),           // string, optional
+  customJobRole: Annotation(),    // string, optional
+  jobDescription: Annotation(),   // string, optional
+  isSelfPrep: Annotation(),       // boolean, optional
+  company: Annotation(),          // string, optional
+  selectedCompany: Annotation(),  // string, optional
+  customCompany: Annotation(),    // string, optional
+  selectedLanguage: Annotation(), // string, optional
+  selectedRound: Annotation(),    // string, optional (id from the round registry)
+  level: Annotation(),            // string
+  language: Annotation(),         // string
+
+  styleTemplate: Annotation(),    // string, optional
+  rubric: Annotation(),           // resolved rubric definition the session is scored with
+  resumeProfile: Annotation(),    // profile extracted from the candidate's resume, optional (see Resumes)
+
+  // conversational transcript (not just Q/A): [{ from: "interviewer" | "candidate", text }], plus
+  // code results, design summaries and unanswered turns ({ from: "unanswered", reason, text })
+  transcript: Annotation(),
+
+  turns: Annotation(),       // interviewer turns completed (excludes greeting)
+  maxTurns: Annotation(),    // total interviewer turns before evaluation
+
+  // question bank: required questions still to ask, and the ones already asked
+  questionPlan: Annotation(),
+  askedQuestions: Annotation(),
+  followUpsSinceQuestion: Annotation(),
+
+  answerRetries: Annotation(),  // re-prompts for the current question after answers with no usable speech
+  clarifications: Annotation(), // clarifications of the current question the candidate asked for
+  repeats: Annotation(),        // times the current question was repeated (repeat_last or asked for)
 
-  turns: { type: "number" },       // interviewer turns completed (excludes greeting)
-  maxTurns: { type: "number" },    // total interviewer turns before evaluation
-  done: { type: "boolean" },
-  overallScore: { type: "number" },
+  // time limits (null = none): when the interview ends (epoch ms), and the time for each answer
+  endsAt: Annotation(),
+  answerTimeLimitSeconds: Annotation(),
+
+  done: Annotation(),           // boolean
+  overallScore: Annotation(),   // number
 });
 
 function initialState(overrides = {}) {
@@ -246,10 +743,20 @@ function initialState(overrides = {}) {
     language:  "en",
 
     styleTemplate: undefined,
+    rubric: undefined,
+    resumeProfile: undefined,
     transcript: [],
 
     turns: 0,
     maxTurns: 6 ,  // number of interviewer replies (after greeting) before evaluation
+    questionPlan: [],
+    askedQuestions: [],
+    followUpsSinceQuestion: 0,
+    answerRetries: 0,
+    clarifications: 0,
+    repeats: 0,
+    endsAt: null,
+    answerTimeLimitSeconds: null,
     done: false,
     overallScore: 0,
 
@@ -294,74 +801,577 @@ function normalizeState(s = {}, frontendValues = {}) {
     language: getValue("language", "en"),
 
     styleTemplate: s.styleTemplate ?? undefined,
+    rubric: s.rubric && Array.isArray(s.rubric.dimensions) ? s.rubric : undefined,
+    resumeProfile: hasResumeProfile(s.resumeProfile) ? s.resumeProfile : undefined,
     transcript: Array.isArray(s.transcript) ? s.transcript : [],
 
     turns: typeof s.turns === "number" ? s.turns : 0,
     maxTurns: typeof s.maxTurns === "number" ? s.maxTurns : 6,
+    questionPlan: Array.isArray(s.questionPlan) ? s.questionPlan : [],
+    askedQuestions: Array.isArray(s.askedQuestions) ? s.askedQuestions : [],
+    followUpsSinceQuestion: typeof s.followUpsSinceQuestion === "number" ? s.followUpsSinceQuestion : 0,
+    answerRetries: typeof s.answerRetries === "number" ? s.answerRetries : 0,
+    clarifications: typeof s.clarifications === "number" ? s.clarifications : 0,
+    repeats: typeof s.repeats === "number" ? s.repeats : 0,
+    endsAt: typeof s.endsAt === "number" ? s.endsAt : null,
+    answerTimeLimitSeconds: typeof s.answerTimeLimitSeconds === "number" ? s.answerTimeLimitSeconds : null,
     done: !!s.done,
     overallScore: typeof s.overallScore === "number" ? s.overallScore : 0,
   };
 }
 
-/* --------------------- LLM helpers --------------------- */
+/* --------------------- Rubrics --------------------- */
+/** Rubric definitions score an interview:
+ *   { id, dimensions: [{ id, name, description, weight, anchors: { "0-3": "...", ... } }] }
+ * Each dimension is scored 0-10; the overall score is the weighted average scaled to 0-100.
+ * Dimensions from RUBRIC_DIMENSIONS can be listed by id alone (or with just a weight) and
+ * inherit its name, description and anchors. Custom rubrics are loaded from RUBRICS_FILE
+ * (JSON or YAML, default ./config/rubrics.yaml) as a list or { rubrics: [...] }.
+ */
 
-async function llm(messages, { model = "gpt-4o-mini", temperature = 0.5 } = {}) {
-  const res = await openai.chat.completions.create({ model, temperature, messages });
-  return res.choices?.[0]?.message?.content ?? "";
-}
+// Shared dimensions, with anchors describing what each score band looks like
+const RUBRIC_DIMENSIONS = {
+  communication: {
+    name: "Communication Skills",
+    description: "Clarity, articulation, structure, listening, engagement",
+    anchors: {
+      "0-3": "Answers are hard to follow, off-topic or mostly missing",
+      "4-6": "Understandable but rambling or loosely structured; key points need prompting",
+      "7-8": "Clear, structured answers that address the question directly",
+      "9-10": "Concise and compelling; adapts explanations to the listener",
+    },
+  },
+  technical: {
+    name: "Technical Skills",
+    description: "Accuracy, depth, knowledge, correctness",
+    anchors: {
+      "0-3": "Frequent factual errors or no grasp of the fundamentals",
+      "4-6": "Correct on basics but shallow; struggles when asked to go deeper",
+      "7-8": "Accurate and reasonably deep, explains why and not just what",
+      "9-10": "Expert depth, discusses edge cases and trade-offs unprompted",
+    },
+  },
+  problem_solving: {
+    name: "Problem Solving",
+    description: "Approach, logic, creativity, analytical thinking",
+    anchors: {
+      "0-3": "No clear approach; jumps to answers or gets stuck",
+      "4-6": "Reaches a solution with hints; limited analysis of alternatives",
+      "7-8": "Breaks problems down logically and compares options",
+      "9-10": "Structured, creative reasoning; states assumptions and validates the result",
+    },
+  },
+  behavior: {
+    name: "Behavior",
+    description: "Professionalism, attitude, confidence, enthusiasm",
+    anchors: {
+      "0-3": "Dismissive, unprofessional or disengaged",
+      "4-6": "Polite but hesitant or low energy",
+      "7-8": "Professional, confident and engaged",
+      "9-10": "Consistently positive and composed, owns mistakes and learns from them",
+    },
+  },
+  relevance: {
+    name: "Relevance",
+    description: "How well answers match the role and level expectations",
+    anchors: {
+      "0-3": "Answers rarely relate to the role or are far below the level",
+      "4-6": "Partly relevant; examples only loosely fit the role or level",
+      "7-8": "Answers and examples fit the role and level",
+      "9-10": "Examples clearly demonstrate readiness for the role, at or above the level",
+    },
+  },
+};
+const ALL_RUBRIC_DIMENSIONS = Object.keys(RUBRIC_DIMENSIONS);
 
-/* --------------------- Minimal LangGraph: persona only --------------------- */
+const DEFAULT_RUBRIC_ID = "general";
+const SCORE_BAND_PATTERN = /^(\d{1,2})\s*-\s*(\d{1,2})$/;
 
-async function generateStyle(state) {
-  // Don't normalize here - use state as-is to preserve frontend values
-  // normalizeState will be called after this
-  
-  // Map round IDs to round names and descriptions
-  const roundInfo = {
-    "technical": { name: "Technical Round", focus: "technical skills, problem-solving, coding abilities, algorithms, and data structures" },
-    "hr": { name: "HR Round", focus: "behavioral questions, communication skills, cultural fit, soft skills, and team collaboration" },
-    "managerial": { name: "Managerial Round", focus: "leadership, management experience, strategic thinking, decision-making, and team management" },
-    "system-design": { name: "System Design Round", focus: "architecture design, scalability, system planning, distributed systems, and technical architecture" },
-    "coding": { name: "Coding Round", focus: "live coding, algorithms, data structures, problem-solving, and code quality" },
-  };
-  
-  const round = state.selectedRound ? roundInfo[state.selectedRound] || { name: state.selectedRound, focus: "relevant skills" } : null;
-  
-  // Use custom job role if provided
-  const jobRole = state.customJobRole || state.role || "Software Engineer";
-  
-  let context = `${state.level || "junior"} ${jobRole} interview`;
-  
-  // Add company information if company specific is selected
-  if (state.isSelfPrep && state.company && state.company.trim() !== "") {
-    context += ` for ${state.company.trim()}`;
-  }
-  
-  // Add job description to context if provided
-  if (state.jobDescription && state.jobDescription.trim() !== "") {
-    context += `. Job Description: ${state.jobDescription.trim()}`;
+// Weights are relative: { technical: 3, communication: 1 } counts technical three times as much
+const BUILT_IN_RUBRICS = [
+  { id: "general", dimensions: ALL_RUBRIC_DIMENSIONS },
+  {
+    id: "technical",
+    dimensions: [
+      { id: "technical", weight: 3 },
+      { id: "problem_solving", weight: 2 },
+      { id: "communication", weight: 1 },
+      { id: "behavior", weight: 0.5 },
+      { id: "relevance", weight: 1 },
+    ],
+  },
+  {
+    id: "behavioral",
+    dimensions: [
+      { id: "communication", weight: 3 },
+      { id: "behavior", weight: 3 },
+      { id: "problem_solving", weight: 1 },
+      { id: "relevance", weight: 1 },
+    ],
+  },
+  {
+    id: "system-design",
+    dimensions: [
+      { id: "problem_solving", weight: 3 },
+      { id: "technical", weight: 2 },
+      { id: "communication", weight: 2 },
+      { id: "relevance", weight: 1 },
+    ],
+  },
+];
+
+const RUBRICS_FILE = process.env.RUBRICS_FILE || path.join(__dirname, "config", "rubrics.yaml");
+
+// Returns a problem description, or null when the definition is usable.
+// A bare list of dimensions is accepted as shorthand for { dimensions: [...] }.
+function validateRubric(rubric) {
+  const dimensions = Array.isArray(rubric) ? rubric : rubric?.dimensions;
+  if (!Array.isArray(dimensions) || dimensions.length === 0) return "dimensions must be a non-empty list";
+  const seen = new Set();
+  for (const dimension of dimensions) {
+    const id = typeof dimension === "string" ? dimension : dimension?.id;
+    if (typeof id !== "string" || !/^[a-z][a-z0-9_]*$/.test(id)) {
+      return "dimension ids must be lowercase letters, digits and underscores";
+    }
+    if (seen.has(id)) return `duplicate dimension ${id}`;
+    seen.add(id);
+    const merged = { ...RUBRIC_DIMENSIONS[id], ...(typeof dimension === "string" ? {} : dimension) };
+    if (typeof merged.name !== "string" || !merged.name.trim()) return `dimension ${id} is missing name`;
+    if (typeof merged.description !== "string" || !merged.description.trim()) return `dimension ${id} is missing description`;
+    if (merged.weight !== undefined && !(typeof merged.weight === "number" && merged.weight > 0)) {
+      return `weight of ${id} must be a positive number`;
+    }
+    if (merged.anchors !== undefined) {
+      if (!merged.anchors || typeof merged.anchors !== "object" || Array.isArray(merged.anchors)) {
+        return `anchors of ${id} must map score bands to descriptions`;
+      }
+      for (const [band, text] of Object.entries(merged.anchors)) {
+        const m = band.match(SCORE_BAND_PATTERN);
+        if (!m || Number(m[1]) > Number(m[2]) || Number(m[2]) > 10) {
+          return `invalid score band "${band}" for ${id} (use ranges within 0-10, e.g. "4-6")`;
+        }
+        if (typeof text !== "string" || !text.trim()) return `anchor "${band}" of ${id} must be a description`;
+      }
+    }
   }
-  
-  if (state.selectedLanguage && state.selectedLanguage.trim() !== "") {
-    context += ` focusing on ${state.selectedLanguage}`;
+  return null;
+}
+
+// Expands a validated definition into { id, dimensions } with every field filled in
+function buildRubric(id, rubric) {
+  const dimensions = Array.isArray(rubric) ? rubric : rubric.dimensions;
+  return {
+    id,
+    dimensions: dimensions.map((dimension) => {
+      const own = typeof dimension === "string" ? { id: dimension } : dimension;
+      return { weight: 1, anchors: {}, ...RUBRIC_DIMENSIONS[own.id], ...own };
+    }),
+  };
+}
+
+function loadRubrics(file) {
+  const rubrics = new Map(BUILT_IN_RUBRICS.map((rubric) => [rubric.id, buildRubric(rubric.id, rubric)]));
+  if (!fs.existsSync(file)) {
+    return rubrics;
   }
-  if (round) {
-    context += ` for ${round.name}`;
+  try {
+    const raw = fs.readFileSync(file, "utf8");
+    const parsed = path.extname(file).toLowerCase() === ".json" ? JSON.parse(raw) : YAML.parse(raw);
+    const custom = Array.isArray(parsed) ? parsed : parsed?.rubrics;
+    if (!Array.isArray(custom)) {
+      console.warn(`Ignoring ${file}: expected a list of rubrics or { rubrics: [...] }`);
+      return rubrics;
+    }
+    for (const rubric of custom) {
+      if (typeof rubric?.id !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(rubric.id)) {
+        console.warn(`Skipping rubric ${rubric?.id ?? "(no id)"} in ${file}: id must be lowercase letters, digits and dashes`);
+        continue;
+      }
+      const problem = validateRubric(rubric);
+      if (problem) {
+        console.warn(`Skipping rubric ${rubric.id} in ${file}: ${problem}`);
+        continue;
+      }
+      rubrics.set(rubric.id, buildRubric(rubric.id, rubric));
+    }
+  } catch (err) {
+    console.warn(`Could not load rubrics from ${file}:`, err.message);
   }
-  
-  // Map language codes to language names for better LLM understanding
-  const languageNames = {
-    "en": "English",
-    "hi": "Hindi",
-    "te": "Telugu",
-    "ta": "Tamil",
-    "fr": "French",
-  };
-  
-  // Ensure we have a valid language - use the actual state value
-  const actualLanguage = state.language || "en";
-  const languageName = languageNames[actualLanguage] || actualLanguage;
-  
+  return rubrics;
+}
+
+const RUBRICS = loadRubrics(RUBRICS_FILE);
+console.log(`Rubrics: ${[...RUBRICS.keys()].join(", ")}`);
+
+function getRubric(rubricId) {
+  return rubricId ? RUBRICS.get(rubricId) : undefined;
+}
+
+// Per-dimension scores (clamped to 0-10) and their weighted average scaled to 0-100
+function scoreRubric(rubric, scores) {
+  const dimensions = rubric.dimensions.map((d) => ({
+    id: d.id,
+    name: d.name,
+    weight: d.weight,
+    score: Math.min(10, Math.max(0, Number(scores[d.id]) || 0)),
+  }));
+  const totalWeight = dimensions.reduce((sum, d) => sum + d.weight, 0);
+  const weighted = dimensions.reduce((sum, d) => sum + d.score * d.weight, 0);
+  return {
+    overallScore: totalWeight > 0 ? Math.round((weighted / totalWeight) * 10) : 0,
+    dimensions,
+  };
+}
+
+/* --------------------- Interview rounds --------------------- */
+/** One registry of round definitions:
+ *   { id, name, focus, greetingHint, defaultTurns, rubric, designSubmissions }
+ * designSubmissions lets candidates share diagrams (see Design submissions). rubric is a rubric id, a list of dimensions or an inline { dimensions: [...] } definition
+ * (see Rubrics above); rounds resolve it to the full definition at load time.
+ * Built-in rounds can be overridden and custom rounds added (e.g. "data-engineering") in
+ * ROUNDS_FILE (JSON or YAML, default ./config/rounds.yaml) as a list or { rounds: [...] }.
+ * A start with a round id that isn't registered is rejected.
+ */
+
+const DEFAULT_ROUND_ID = "technical";
+const DEFAULT_MAX_TURNS = 6;
+// Upper bound for maxTurns on start and a round's defaultTurns: every turn is an LLM (and TTS) call
+const MAX_TURNS_LIMIT = 50;
+
+const BUILT_IN_ROUNDS = [
+  {
+    id: "technical",
+    name: "Technical Round",
+    focus: "technical skills, problem-solving, coding abilities, algorithms, data structures, and technical depth",
+    greetingHint: "Mention that you will discuss their technical background and problem-solving.",
+    defaultTurns: DEFAULT_MAX_TURNS,
+    rubric: "technical",
+  },
+  {
+    id: "hr",
+    name: "HR Round",
+    focus: "behavioral questions, communication skills, cultural fit, soft skills, team collaboration, and work experience",
+    greetingHint: "Keep the tone warm and mention that you will talk about their experiences and how they work with others.",
+    defaultTurns: DEFAULT_MAX_TURNS,
+    rubric: "behavioral",
+  },
+  {
+    id: "managerial",
+    name: "Managerial Round",
+    focus: "leadership, management experience, strategic thinking, decision-making, team management, and conflict resolution",
+    greetingHint: "Mention that you will discuss leadership and how they make decisions.",
+    defaultTurns: DEFAULT_MAX_TURNS,
+    rubric: "general",
+  },
+  {
+    id: "system-design",
+    name: "System Design Round",
+    focus: "architecture design, scalability, system planning, distributed systems, technical architecture, and trade-offs",
+    greetingHint: "Mention that you will design a system together, that thinking out loud is encouraged and that they can share a diagram of their design.",
+    defaultTurns: DEFAULT_MAX_TURNS,
+    rubric: "system-design",
+    designSubmissions: true,
+  },
+  {
+    id: "coding",
+    name: "Coding Round",
+    focus: "live coding, algorithms, data structures, problem-solving, code quality, and optimization",
+    greetingHint: "Mention that you will work through coding problems and that explaining their approach matters.",
+    defaultTurns: DEFAULT_MAX_TURNS,
+    rubric: "technical",
+  },
+];
+
+const ROUNDS_FILE = process.env.ROUNDS_FILE || path.join(__dirname, "config", "rounds.yaml");
+
+// Returns a problem description, or null when the definition is usable.
+// base is the built-in round being overridden (its fields act as defaults).
+function validateRound(round, base) {
+  if (!round || typeof round !== "object") return "not an object";
+  if (typeof round.id !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(round.id)) {
+    return "id must be lowercase letters, digits and dashes";
+  }
+  const merged = { ...base, ...round };
+  if (typeof merged.name !== "string" || !merged.name.trim()) return "missing name";
+  if (typeof merged.focus !== "string" || !merged.focus.trim()) return "missing focus";
+  if (merged.greetingHint !== undefined && typeof merged.greetingHint !== "string") return "greetingHint must be a string";
+  if (merged.defaultTurns !== undefined && !(Number.isInteger(merged.defaultTurns) && merged.defaultTurns >= 1 && merged.defaultTurns <= MAX_TURNS_LIMIT)) {
+    return `defaultTurns must be an integer from 1 to ${MAX_TURNS_LIMIT}`;
+  }
+  if (merged.designSubmissions !== undefined && typeof merged.designSubmissions !== "boolean") {
+    return "designSubmissions must be true or false";
+  }
+  // Only the round's own rubric needs checking, an inherited one is already resolved
+  if (typeof round.rubric === "string") {
+    if (!RUBRICS.has(round.rubric)) return `unknown rubric ${round.rubric}`;
+  } else if (round.rubric !== undefined) {
+    const problem = validateRubric(round.rubric);
+    if (problem) return `rubric: ${problem}`;
+  }
+  return null;
+}
+
+// A round's rubric id or inline definition as the full rubric
+function resolveRoundRubric(roundId, rubric) {
+  return typeof rubric === "string" ? RUBRICS.get(rubric) : buildRubric(`round:${roundId}`, rubric);
+}
+
+function loadRounds(file) {
+  const rounds = new Map(
+    BUILT_IN_ROUNDS.map((round) => [round.id, { ...round, rubric: resolveRoundRubric(round.id, round.rubric) }])
+  );
+  if (!fs.existsSync(file)) {
+    return rounds;
+  }
+  try {
+    const raw = fs.readFileSync(file, "utf8");
+    const parsed = path.extname(file).toLowerCase() === ".json" ? JSON.parse(raw) : YAML.parse(raw);
+    const custom = Array.isArray(parsed) ? parsed : parsed?.rounds;
+    if (!Array.isArray(custom)) {
+      console.warn(`Ignoring ${file}: expected a list of rounds or { rounds: [...] }`);
+      return rounds;
+    }
+    for (const round of custom) {
+      const base = rounds.get(round?.id);
+      const problem = validateRound(round, base);
+      if (problem) {
+        console.warn(`Skipping round ${round?.id ?? "(no id)"} in ${file}: ${problem}`);
+        continue;
+      }
+      rounds.set(round.id, {
+        defaultTurns: DEFAULT_MAX_TURNS,
+        greetingHint: "",
+        ...base,
+        ...round,
+        rubric: round.rubric !== undefined
+          ? resolveRoundRubric(round.id, round.rubric)
+          : base?.rubric || getRubric(DEFAULT_RUBRIC_ID),
+      });
+    }
+  } catch (err) {
+    console.warn(`Could not load rounds from ${file}:`, err.message);
+  }
+  return rounds;
+}
+
+const ROUNDS = loadRounds(ROUNDS_FILE);
+console.log(`Interview rounds: ${[...ROUNDS.keys()].join(", ")}`);
+
+function getRound(roundId) {
+  return roundId ? ROUNDS.get(roundId) : undefined;
+}
+
+/* --------------------- Languages --------------------- */
+/** One registry of interview languages:
+ * - name:        used in prompts ("respond in Hindi")
+ * - whisperCode: ISO-639-1 code passed to speech-to-text
+ * - voice:       default TTS voice when the client doesn't pick one
+ * - repeatPrompt: spoken when a recorded answer has no usable speech, to ask for it again
+ * - wrapUpPrompt: spoken when a time-limited interview is nearly over
+ * - fallbacks:   localized text used when a model call returns nothing usable
+ * A start with a language that isn't listed here is rejected.
+ */
+const DEFAULT_LANGUAGE = "en";
+
+const LANGUAGES = {
+  en: {
+    name: "English",
+    whisperCode: "en",
+    voice: "alloy",
+    repeatPrompt: "Sorry, I didn't catch that. Could you please repeat your answer?",
+    wrapUpPrompt: "We're almost out of time, so this will be your last answer. Please take a moment to wrap up.",
+    fallbacks: {
+      greeting: "Hello, thank you for joining. Could you please introduce yourself in about thirty seconds before we begin?",
+      followUp: "Thank you. Could you tell me a little more about that?",
+      summary: "Thank you for completing the interview. Your detailed feedback is shown on screen.",
+    },
+  },
+  hi: {
+    name: "Hindi",
+    whisperCode: "hi",
+    voice: "nova",
+    repeatPrompt: "माफ़ कीजिए, मैं ठीक से सुन नहीं पाया। क्या आप कृपया अपना उत्तर दोहरा सकते हैं?",
+    wrapUpPrompt: "हमारा समय लगभग समाप्त हो गया है, इसलिए यह आपका अंतिम उत्तर होगा। कृपया अपनी बात समेट लें।",
+    fallbacks: {
+      greeting: "नमस्ते, जुड़ने के लिए धन्यवाद। शुरू करने से पहले कृपया लगभग तीस सेकंड में अपना परिचय दें।",
+      followUp: "धन्यवाद। क्या आप इसके बारे में थोड़ा और बता सकते हैं?",
+      summary: "इंटरव्यू पूरा करने के लिए धन्यवाद। आपकी विस्तृत प्रतिक्रिया स्क्रीन पर दिखाई गई है।",
+    },
+  },
+  te: {
+    name: "Telugu",
+    whisperCode: "te",
+    voice: "nova",
+    repeatPrompt: "క్షమించండి, నాకు సరిగ్గా వినిపించలేదు. దయచేసి మీ సమాధానాన్ని మళ్ళీ చెప్పగలరా?",
+    wrapUpPrompt: "మన సమయం దాదాపు ముగిసింది, కాబట్టి ఇది మీ చివరి సమాధానం అవుతుంది. దయచేసి మీ సమాధానాన్ని ముగించండి.",
+    fallbacks: {
+      greeting: "నమస్కారం, చేరినందుకు ధన్యవాదాలు. ప్రారంభించే ముందు దయచేసి సుమారు ముప్పై సెకన్లలో మీ గురించి పరిచయం చేసుకోండి.",
+      followUp: "ధన్యవాదాలు. దాని గురించి ఇంకొంచెం చెప్పగలరా?",
+      summary: "ఇంటర్వ్యూ పూర్తి చేసినందుకు ధన్యవాదాలు. మీ వివరమైన ఫీడ్‌బ్యాక్ స్క్రీన్‌పై ఉంది.",
+    },
+  },
+  ta: {
+    name: "Tamil",
+    whisperCode: "ta",
+    voice: "nova",
+    repeatPrompt: "மன்னிக்கவும், எனக்கு சரியாகக் கேட்கவில்லை. உங்கள் பதிலை மீண்டும் சொல்ல முடியுமா?",
+    wrapUpPrompt: "நமது நேரம் கிட்டத்தட்ட முடிந்துவிட்டது, எனவே இது உங்கள் கடைசி பதிலாக இருக்கும். தயவுசெய்து உங்கள் பதிலை நிறைவு செய்யுங்கள்.",
+    fallbacks: {
+      greeting: "வணக்கம், இணைந்ததற்கு நன்றி. தொடங்குவதற்கு முன் சுமார் முப்பது விநாடிகளில் உங்களைப் பற்றி அறிமுகப்படுத்துங்கள்.",
+      followUp: "நன்றி. அதைப் பற்றி இன்னும் கொஞ்சம் சொல்ல முடியுமா?",
+      summary: "நேர்காணலை முடித்ததற்கு நன்றி. உங்கள் விரிவான கருத்து திரையில் காட்டப்பட்டுள்ளது.",
+    },
+  },
+  kn: {
+    name: "Kannada",
+    whisperCode: "kn",
+    voice: "nova",
+    repeatPrompt: "ಕ್ಷಮಿಸಿ, ನನಗೆ ಸರಿಯಾಗಿ ಕೇಳಿಸಲಿಲ್ಲ. ದಯವಿಟ್ಟು ನಿಮ್ಮ ಉತ್ತರವನ್ನು ಮತ್ತೊಮ್ಮೆ ಹೇಳಬಹುದೇ?",
+    wrapUpPrompt: "ನಮ್ಮ ಸಮಯ ಬಹುತೇಕ ಮುಗಿದಿದೆ, ಆದ್ದರಿಂದ ಇದು ನಿಮ್ಮ ಕೊನೆಯ ಉತ್ತರವಾಗಿರುತ್ತದೆ. ದಯವಿಟ್ಟು ನಿಮ್ಮ ಉತ್ತರವನ್ನು ಮುಕ್ತಾಯಗೊಳಿಸಿ.",
+    fallbacks: {
+      greeting: "ನಮಸ್ಕಾರ, ಸೇರಿದ್ದಕ್ಕೆ ಧನ್ಯವಾದಗಳು. ಪ್ರಾರಂಭಿಸುವ ಮೊದಲು ದಯವಿಟ್ಟು ಸುಮಾರು ಮೂವತ್ತು ಸೆಕೆಂಡುಗಳಲ್ಲಿ ನಿಮ್ಮನ್ನು ಪರಿಚಯಿಸಿಕೊಳ್ಳಿ.",
+      followUp: "ಧನ್ಯವಾದಗಳು. ಅದರ ಬಗ್ಗೆ ಇನ್ನಷ್ಟು ಹೇಳಬಹುದೇ?",
+      summary: "ಸಂದರ್ಶನವನ್ನು ಪೂರ್ಣಗೊಳಿಸಿದ್ದಕ್ಕೆ ಧನ್ಯವಾದಗಳು. ನಿಮ್ಮ ವಿವರವಾದ ಪ್ರತಿಕ್ರಿಯೆ ಪರದೆಯ ಮೇಲೆ ಇದೆ.",
+    },
+  },
+  fr: {
+    name: "French",
+    whisperCode: "fr",
+    voice: "shimmer",
+    repeatPrompt: "Désolé, je n'ai pas bien entendu. Pourriez-vous répéter votre réponse ?",
+    wrapUpPrompt: "Nous arrivons à la fin du temps prévu, ce sera donc votre dernière réponse. Prenez un moment pour conclure.",
+    fallbacks: {
+      greeting: "Bonjour, merci de nous avoir rejoints. Pourriez-vous vous présenter en une trentaine de secondes avant de commencer ?",
+      followUp: "Merci. Pourriez-vous m'en dire un peu plus ?",
+      summary: "Merci d'avoir passé cet entretien. Vos retours détaillés sont affichés à l'écran.",
+    },
+  },
+  es: {
+    name: "Spanish",
+    whisperCode: "es",
+    voice: "nova",
+    repeatPrompt: "Perdón, no le he entendido bien. ¿Podría repetir su respuesta?",
+    wrapUpPrompt: "Nos queda poco tiempo, así que esta será su última respuesta. Por favor, vaya concluyendo.",
+    fallbacks: {
+      greeting: "Hola, gracias por acompañarnos. Antes de empezar, ¿podría presentarse en unos treinta segundos?",
+      followUp: "Gracias. ¿Podría contarme un poco más sobre eso?",
+      summary: "Gracias por completar la entrevista. Sus comentarios detallados se muestran en pantalla.",
+    },
+  },
+  de: {
+    name: "German",
+    whisperCode: "de",
+    voice: "onyx",
+    repeatPrompt: "Entschuldigung, das habe ich nicht verstanden. Könnten Sie Ihre Antwort bitte wiederholen?",
+    wrapUpPrompt: "Unsere Zeit ist fast um, daher ist dies Ihre letzte Antwort. Bitte kommen Sie langsam zum Schluss.",
+    fallbacks: {
+      greeting: "Hallo, danke, dass Sie dabei sind. Könnten Sie sich bitte in etwa dreißig Sekunden vorstellen, bevor wir beginnen?",
+      followUp: "Danke. Können Sie mir dazu noch etwas mehr erzählen?",
+      summary: "Vielen Dank für das Interview. Ihr ausführliches Feedback wird auf dem Bildschirm angezeigt.",
+    },
+  },
+  ja: {
+    name: "Japanese",
+    whisperCode: "ja",
+    voice: "shimmer",
+    repeatPrompt: "すみません、うまく聞き取れませんでした。もう一度お答えいただけますか？",
+    wrapUpPrompt: "そろそろ時間になりますので、これが最後のご回答になります。まとめに入ってください。",
+    fallbacks: {
+      greeting: "こんにちは、ご参加ありがとうございます。始める前に、三十秒ほどで自己紹介をお願いできますか。",
+      followUp: "ありがとうございます。その点についてもう少し詳しく教えていただけますか。",
+      summary: "面接へのご参加ありがとうございました。詳しいフィードバックは画面に表示されています。",
+    },
+  },
+};
+
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// Registry entry (plus its code) for a language; unknown codes fall back to the default language
+function getLanguage(code) {
+  const resolved = isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+  return { code: resolved, ...LANGUAGES[resolved] };
+}
+
+/* --------------------- LLM helpers --------------------- */
+
+// task names the call ("persona", "rubric", ...) - used by the mock provider to pick a reply
+async function llm(messages, { model, temperature = 0.5, task } = {}) {
+  const onUsage = (usage) => recordUsage("llm", { ...usage, task });
+  return providers.llm.complete(messages, { model, temperature, task, onUsage });
+}
+
+// Streaming variant: calls onDelta with each text fragment as it arrives, resolves to the full text
+async function llmStream(messages, { model, temperature = 0.5, task } = {}, onDelta = () => {}) {
+  const onUsage = (usage) => recordUsage("llm", { ...usage, task });
+  return providers.llm.stream(messages, { model, temperature, task, onUsage }, onDelta);
+}
+
+// Cuts streamed text into sentences. Fragments shorter than minLength ("Great.", "e.g.")
+// are merged into the next sentence so TTS isn't called for a single word.
+function createSentenceSplitter(onSentence, { minLength = 25 } = {}) {
+  // Latin punctuation needs trailing whitespace (avoids "3.5" or "node.js"); CJK and Devanagari don't
+  const boundary = /[.!?…]+["'”’)\]]*\s+|[。！？।]+/g;
+  let buffer = "";
+  return {
+    push(delta) {
+      buffer += delta;
+      let cut = 0;
+      let match;
+      boundary.lastIndex = 0;
+      while ((match = boundary.exec(buffer))) {
+        const end = match.index + match[0].length;
+        const sentence = buffer.slice(cut, end).trim();
+        if (sentence.length >= minLength) {
+          onSentence(sentence);
+          cut = end;
+        }
+      }
+      buffer = buffer.slice(cut);
+    },
+    flush() {
+      const rest = buffer.trim();
+      buffer = "";
+      if (rest) onSentence(rest);
+    },
+  };
+}
+
+/* --------------------- Minimal LangGraph: persona only --------------------- */
+
+async function generateStyle(state) {
+  // Don't normalize here - use state as-is to preserve frontend values
+  // normalizeState will be called after this
+  
+  const round = getRound(state.selectedRound) || null;
+  
+  // Use custom job role if provided
+  const jobRole = state.customJobRole || state.role || "Software Engineer";
+  
+  let context = `${state.level || "junior"} ${jobRole} interview`;
+  
+  // Add company information if company specific is selected
+  if (state.isSelfPrep && state.company && state.company.trim() !== "") {
+    context += ` for ${state.company.trim()}`;
+  }
+  
+  // Add job description to context if provided
+  if (state.jobDescription && state.jobDescription.trim() !== "") {
+    context += `. Job Description: ${state.jobDescription.trim()}`;
+  }
+  
+  if (state.selectedLanguage && state.selectedLanguage.trim() !== "") {
+    context += ` focusing on ${state.selectedLanguage}`;
+  }
+  if (round) {
+    context += ` for ${round.name}`;
+  }
+  
+  // Ensure we have a valid language - use the actual state value
+  const actualLanguage = getLanguage(state.language).code;
+  const languageName = getLanguage(actualLanguage).name;
+  
   console.log("=== GENERATE STYLE - LANGUAGE & ROUND CHECK ===");
   console.log({
     stateLanguage: state.language,
@@ -371,6 +1381,7 @@ async function generateStyle(state) {
     round: round ? round.name : "none",
     jobRole: jobRole,
     hasJobDescription: !!(state.jobDescription && state.jobDescription.trim() !== ""),
+    hasResume: hasResumeProfile(state.resumeProfile),
   });
   
   const roundContext = round ? ` This is a ${round.name}, so focus on ${round.focus}.` : "";
@@ -380,6 +1391,11 @@ async function generateStyle(state) {
   if (state.jobDescription && state.jobDescription.trim() !== "") {
     jobContext += `\nJob Description: ${state.jobDescription.trim()}`;
   }
+  // Not normalized yet: the profile is only there when start found an uploaded resume
+  const resume = hasResumeProfile(state.resumeProfile) ? describeResumeProfile(state.resumeProfile) : "";
+  if (resume) {
+    jobContext += `\n\nCandidate's resume:\n${resume}`;
+  }
   
   const content = await llm(
     [
@@ -397,13 +1413,14 @@ ${jobContext}
 Keep it to 2–3 sentences. Include tone/style + 1–2 rules (be concise, ask relevant follow-ups).
 ${round ? `As this is a ${round.name}, emphasize asking questions related to ${round.focus}.` : ""}
 ${state.jobDescription ? `Use the job description provided above to tailor questions to the specific role requirements.` : ""}
+${resume ? `Include a rule to ask about the candidate's own experience and projects from the resume above, and to check their claims by asking for specifics only someone who did the work would know.` : ""}
 
 IMPORTANT: 
 - Respond ONLY in ${languageName}. Do not use English or any other language.
 - The persona should NOT instruct to use "Interviewer:" prefix or any speaker labels.`
       }
     ],
-    { temperature: 0.6 }
+    { temperature: 0.6, task: "persona" }
   );
   return { ...state, styleTemplate: content };
 }
@@ -417,10 +1434,161 @@ function buildStyleGraph() {
 
 const styleGraph = buildStyleGraph();
 
+/* --------------------- Question banks --------------------- */
+/** Question banks are JSON or YAML files in QUESTION_BANKS_DIR (default ./question-banks):
+ *   { id?, round, roles?, levels?, tags?, questions: [{ id, text, required?, tags?, followUps? }] }
+ * Questions with function and tests are coding problems (see Code execution).
+ * Leaving out roles or levels matches any role or level. The required questions of every
+ * matching bank are asked as written (translated if needed), in bank order; the interviewer
+ * only generates the follow-ups in between (followUps per question, default 1).
+ */
+const QUESTION_BANKS_DIR = process.env.QUESTION_BANKS_DIR || path.join(__dirname, "question-banks");
+const DEFAULT_FOLLOW_UPS = 1;
+
+// Valid in JavaScript and Python alike
+const FUNCTION_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Returns a problem description, or null when the question is no coding problem or a usable one
+function validateCodingProblem(question) {
+  if (question.tests === undefined) return null;
+  if (!Array.isArray(question.tests) || question.tests.length === 0) return "tests must be a non-empty array";
+  if (question.tests.some((test) => !Array.isArray(test?.args) || test.expected === undefined)) {
+    return "every test needs an args array and an expected value";
+  }
+  const names = typeof question.function === "string" ? [question.function] : Object.values(question.function || {});
+  if (names.length === 0 || names.some((name) => typeof name !== "string" || !FUNCTION_NAME.test(name))) {
+    return "function must be a function name, or one per language";
+  }
+  return null;
+}
+
+// Returns a problem description, or null when the bank is usable
+function validateQuestionBank(bank) {
+  if (!bank || typeof bank !== "object") return "not an object";
+  if (!bank.round || typeof bank.round !== "string") return "missing round";
+  for (const key of ["roles", "levels", "tags"]) {
+    if (bank[key] !== undefined && !Array.isArray(bank[key])) return `${key} must be an array`;
+  }
+  if (!Array.isArray(bank.questions) || bank.questions.length === 0) return "questions must be a non-empty array";
+  for (const [index, question] of bank.questions.entries()) {
+    if (!question || typeof question.id !== "string" || typeof question.text !== "string" || !question.text.trim()) {
+      return `question ${index} needs a string id and text`;
+    }
+    const codingProblem = validateCodingProblem(question);
+    if (codingProblem) return `question ${question.id}: ${codingProblem}`;
+  }
+  return null;
+}
+
+function loadQuestionBanks(dir) {
+  if (!fs.existsSync(dir)) {
+    console.log(`No question banks found (${dir} does not exist)`);
+    return [];
+  }
+  const banks = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const ext = path.extname(file).toLowerCase();
+    if (![".json", ".yaml", ".yml"].includes(ext)) continue;
+    try {
+      const raw = fs.readFileSync(path.join(dir, file), "utf8");
+      const bank = ext === ".json" ? JSON.parse(raw) : YAML.parse(raw);
+      const problem = validateQuestionBank(bank);
+      if (problem) {
+        console.warn(`Skipping question bank ${file}: ${problem}`);
+        continue;
+      }
+      banks.push({ ...bank, id: bank.id || path.basename(file, ext) });
+    } catch (err) {
+      console.warn(`Could not load question bank ${file}:`, err.message);
+    }
+  }
+  console.log(`Loaded ${banks.length} question bank(s) from ${dir}`);
+  return banks;
+}
+
+const QUESTION_BANKS = loadQuestionBanks(QUESTION_BANKS_DIR);
+
+// Case-insensitive membership; an empty or missing list matches anything
+const matchesAny = (list, value) =>
+  !Array.isArray(list) || list.length === 0 ||
+  (!!value && list.some((item) => String(item).toLowerCase() === String(value).toLowerCase()));
+
+// Required bank questions for this interview, in bank order. tags (optional) narrows them down.
+function planBankQuestions(state, tags = []) {
+  const wanted = tags.map((tag) => String(tag).toLowerCase());
+  const plan = [];
+  for (const bank of QUESTION_BANKS) {
+    if (bank.round !== state.selectedRound) continue;
+    const roleMatches = [state.customJobRole, state.role, state.roleId].some((role) => role && matchesAny(bank.roles, role));
+    if (!roleMatches || !matchesAny(bank.levels, state.level)) continue;
+
+    for (const question of bank.questions) {
+      if (!question.required) continue;
+      const questionTags = [...(bank.tags || []), ...(question.tags || [])].map((tag) => String(tag).toLowerCase());
+      if (wanted.length > 0 && !wanted.some((tag) => questionTags.includes(tag))) continue;
+      plan.push({
+        id: question.id,
+        bankId: bank.id,
+        text: question.text.trim(),
+        followUps: Number.isInteger(question.followUps) ? question.followUps : DEFAULT_FOLLOW_UPS,
+      });
+    }
+  }
+  return plan;
+}
+
+// The bank question for the next interviewer turn, or null when a follow-up should be generated
+function nextBankQuestion(state) {
+  const pending = state.questionPlan;
+  if (pending.length === 0) return null;
+  const lastAsked = state.askedQuestions[state.askedQuestions.length - 1];
+  const remainingTurns = state.maxTurns - 1 - state.turns;
+  // First question after the introduction, follow-ups for the previous one used up,
+  // or no turns to spare before the remaining required questions
+  if (!lastAsked || state.followUpsSinceQuestion >= lastAsked.followUps || pending.length >= remainingTurns) {
+    return pending[0];
+  }
+  return null;
+}
+
 /* --------------------- Conversation helpers --------------------- */
 
-// TTS to the websocket as binary chunks
-async function ttsToWS(ws, text, voice = "alloy", format = "mp3", language = "en") {
+// Synthesized audio by voice, format and text, so replaying an utterance ({type:"repeat_last"})
+// doesn't call TTS again. The least recently used entries go once TTS_CACHE_MB is exceeded.
+const TTS_CACHE_MAX_BYTES = Number(process.env.TTS_CACHE_MB ?? 32) * 1024 * 1024;
+const TTS_CACHE = new Map(); // sha256 of voice, format and text -> Buffer, least recently used first
+let ttsCacheBytes = 0;
+
+function getCachedSpeech(key) {
+  const buf = TTS_CACHE.get(key);
+  if (buf) {
+    // Move to the most recently used end
+    TTS_CACHE.delete(key);
+    TTS_CACHE.set(key, buf);
+  }
+  return buf;
+}
+
+function cacheSpeech(key, buf) {
+  if (buf.length > TTS_CACHE_MAX_BYTES || TTS_CACHE.has(key)) return;
+  TTS_CACHE.set(key, buf);
+  ttsCacheBytes += buf.length;
+  for (const [oldKey, oldBuf] of TTS_CACHE) {
+    if (ttsCacheBytes <= TTS_CACHE_MAX_BYTES) break;
+    TTS_CACHE.delete(oldKey);
+    ttsCacheBytes -= oldBuf.length;
+  }
+}
+
+// Synthesize speech for one piece of text, returns the audio as a Buffer
+async function synthesizeSpeech(text, voice = "alloy", format = "mp3", language = "en") {
+  const cacheKey = sha256(`${voice}\n${format}\n${text}`);
+  const cached = getCachedSpeech(cacheKey);
+  if (cached) {
+    console.log(`TTS cache hit (${text.length} chars)`);
+    return cached;
+  }
+
   // Log the text being sent to TTS for debugging
   console.log("=== TTS REQUEST ===");
   console.log({
@@ -430,52 +1598,279 @@ async function ttsToWS(ws, text, voice = "alloy", format = "mp3", language = "en
     voice: voice,
   });
   
-  const audio = await openai.audio.speech.create({
-    model: "tts-1", // Use tts-1 which has better multilingual support
-    voice,
-    input: text,
-    format, // "mp3" | "wav"
-    // Note: OpenAI TTS auto-detects language from text, no language parameter available
-  });
-  const buf = Buffer.from(await audio.arrayBuffer());
+  const buf = await providers.tts.synthesize(text, { voice, format, onUsage: (usage) => recordUsage("tts", usage) });
+  cacheSpeech(cacheKey, buf);
+  return buf;
+}
+
+// Send one utterance as binary chunks, framed so the client can queue utterances back to back
+function sendUtterance(ws, buf, { replyId, index, text, format }) {
+  ws.send(JSON.stringify({ type: "utterance_start", replyId, index, text, format }));
   const CHUNK = 32 * 1024;
   for (let i = 0; i < buf.length; i += CHUNK) {
     ws.send(buf.subarray(i, i + CHUNK));
   }
+  ws.send(JSON.stringify({ type: "utterance_end", replyId, index }));
+}
+
+// TTS to the websocket as binary chunks (whole text as a single utterance)
+async function ttsToWS(ws, text, voice = "alloy", format = "mp3", language = "en") {
+  const buf = await synthesizeSpeech(text, voice, format, language);
+  sendUtterance(ws, buf, { replyId: uuidv4(), index: 0, text, format });
   ws.send(JSON.stringify({ type: "tts_done", format }));
 }
 
-// Greeting to start the interview
-async function speakGreeting(ws, state, voice = "alloy") {
-  const s = normalizeState(state);
+/** Speak a reply sentence by sentence while it is still being generated:
+ * - each pushed sentence is sent to TTS immediately (syntheses overlap)
+ * - audio goes out strictly in order, one utterance per sentence
+ * - finish() waits for the last utterance, then sends tts_done
+ * getWs is called for every send so a resumed session receives the rest of the reply.
+ */
+function createUtteranceStream(getWs, voice = "alloy", format = "mp3", language = "en") {
+  const replyId = uuidv4();
+  let nextIndex = 0;
+  let chain = Promise.resolve();
+  return {
+    push(text) {
+      const index = nextIndex++;
+      const audio = synthesizeSpeech(text, voice, format, language).catch((error) => {
+        // Skip the sentence rather than stall the rest of the reply
+        console.error(`TTS error for utterance ${index} (skipped):`, error.message || error);
+        return null;
+      });
+      chain = chain.then(async () => {
+        const buf = await audio;
+        if (buf) {
+          sendUtterance(getWs(), buf, { replyId, index, text, format });
+        }
+      });
+    },
+    async finish() {
+      await chain;
+      getWs().send(JSON.stringify({ type: "tts_done", format }));
+    },
+  };
+}
+
+// Strip any "Interviewer" prefix if the AI includes it (comprehensive removal)
+function stripSpeakerLabel(content) {
+  let cleaned = (content || "").trim();
+  
+  // Multiple passes to catch all variations
+  // Pattern 1: "Interviewer:" with colon
+  cleaned = cleaned.replace(/^Interviewer\s*:\s*/i, "");
+  // Pattern 2: "Interviewer " with space
+  cleaned = cleaned.replace(/^Interviewer\s+/i, "");
+  // Pattern 3: "Interviewer-" with dash
+  cleaned = cleaned.replace(/^Interviewer\s*-\s*/i, "");
+  // Pattern 4: "Interviewer." with period
+  cleaned = cleaned.replace(/^Interviewer\s*\.\s*/i, "");
+  // Pattern 5: Just "Interviewer" at start (catch any remaining)
+  cleaned = cleaned.replace(/^Interviewer\b\s*/i, "");
+  // Pattern 6: With any punctuation after
+  cleaned = cleaned.replace(/^Interviewer\s*[:\-\.\s]+\s*/i, "");
+  // Pattern 7: With quotes or brackets
+  cleaned = cleaned.replace(/^["'(\[]?\s*Interviewer\s*[:.\-\s)]+\s*/i, "");
+  
+  // Final trim
+  cleaned = cleaned.trim();
+  
+  // If it still starts with "Interviewer", remove it one more time
+  if (/^Interviewer/i.test(cleaned)) {
+    cleaned = cleaned.replace(/^Interviewer\s*[:.\-\s]*\s*/i, "").trim();
+  }
   
-  // Map language codes to language names for better LLM understanding
-  const languageNames = {
-    "en": "English",
-    "hi": "Hindi",
-    "te": "Telugu",
-    "ta": "Tamil",
-    "fr": "French",
+  return cleaned;
+}
+
+/* --------------------- Transcription --------------------- */
+
+// Audio containers accepted for answers, recognized by their magic bytes rather than the
+// format the client declares. The name is also the temp file extension Whisper sees.
+const AUDIO_CONTAINERS = ["webm", "mp4", "m4a", "wav", "ogg"];
+const AUDIO_SNIFF_BYTES = 12;
+// Frames still in flight when the upload ends right at ANSWER_UPLOAD_TIME_LIMIT_SECONDS are accepted
+const AUDIO_UPLOAD_GRACE_MS = 2000;
+
+// Container of a recording from its first AUDIO_SNIFF_BYTES bytes, or null if not supported
+function detectAudioContainer(header) {
+  if (header.length < AUDIO_SNIFF_BYTES) return null;
+  // WebM/Matroska: EBML header
+  if (header.readUInt32BE(0) === 0x1a45dfa3) return "webm";
+  if (header.toString("ascii", 0, 4) === "RIFF" && header.toString("ascii", 8, 12) === "WAVE") return "wav";
+  if (header.toString("ascii", 0, 4) === "OggS") return "ogg";
+  // ISO base media: "ftyp" box first, then the major brand
+  if (header.toString("ascii", 4, 8) === "ftyp") {
+    return header.toString("ascii", 8, 11) === "M4A" ? "m4a" : "mp4";
+  }
+  return null;
+}
+
+// Recordings that can't hold an answer are re-prompted (see MAX_ANSWER_RETRIES) before Whisper is called
+const MIN_ANSWER_AUDIO_BYTES = Number(process.env.MIN_ANSWER_AUDIO_BYTES || 2000);
+const MIN_ANSWER_AUDIO_MS = 500;
+const SILENCE_THRESHOLD_DBFS = -50;
+
+// Duration and loudness of a 16-bit PCM WAV recording, or null for any other encoding.
+// Streamed WAV often has a placeholder data size, so the data runs to the end of the buffer.
+function measureWavAudio(buffer) {
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === "fmt " && body + 16 <= buffer.length) {
+      format = {
+        encoding: buffer.readUInt16LE(body),
+        byteRate: buffer.readUInt32LE(body + 8),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === "data") {
+      if (!format || format.encoding !== 1 || format.bitsPerSample !== 16 || !format.byteRate) return null;
+      const data = buffer.subarray(body, Math.min(buffer.length, body + size));
+      const samples = Math.floor(data.length / 2);
+      let sumSquares = 0;
+      for (let i = 0; i < samples; i += 1) {
+        const sample = data.readInt16LE(i * 2) / 32768;
+        sumSquares += sample * sample;
+      }
+      const rms = samples ? Math.sqrt(sumSquares / samples) : 0;
+      return {
+        durationMs: (data.length / format.byteRate) * 1000,
+        rmsDbfs: rms > 0 ? 20 * Math.log10(rms) : -Infinity,
+      };
+    }
+    offset = body + size + (size % 2); // chunks are padded to an even size
+  }
+  return null;
+}
+
+// Why a recording can't hold an answer ("too_short" | "silence"), or null if it may. Only WAV
+// can be measured without decoding; compressed containers are judged by their size alone.
+function unusableAudioReason(buffer, container) {
+  if (buffer.length < MIN_ANSWER_AUDIO_BYTES) return "too_short";
+  const measured = container === "wav" ? measureWavAudio(buffer) : null;
+  if (!measured) return null;
+  if (measured.durationMs < MIN_ANSWER_AUDIO_MS) return "too_short";
+  if (measured.rmsDbfs < SILENCE_THRESHOLD_DBFS) return "silence";
+  return null;
+}
+
+// Save an audio buffer to a temp file and transcribe it with the STT provider (Whisper by default).
+// format is one of AUDIO_CONTAINERS. Throws with err.audioSaveFailed set when the temp file can't be written.
+async function transcribeAudio(audioBuffer, { format = "webm", language = "en", prompt } = {}) {
+  const fileExtension = AUDIO_CONTAINERS.includes(format) ? format : "webm";
+  const tmpPath = path.join(TMP_DIR, `ans_${Date.now()}_${uuidv4()}.${fileExtension}`);
+
+  try {
+    fs.writeFileSync(tmpPath, audioBuffer);
+  } catch (writeError) {
+    writeError.audioSaveFailed = true;
+    throw writeError;
+  }
+
+  try {
+    return await providers.stt.transcribe(tmpPath, {
+      language,
+      prompt,
+      onUsage: (usage) => recordUsage("stt", usage),
+    });
+  } finally {
+    try {
+      fs.unlinkSync(tmpPath);
+    } catch (unlinkError) {
+      console.warn("Error deleting temp file:", unlinkError);
+    }
+  }
+}
+
+// Bytes of the first recorded chunk that make up the container header, so a later
+// segment of the same recording can be decoded on its own
+function containerHeader(firstChunk) {
+  // WebM/Matroska: everything before the first Cluster element
+  const cluster = firstChunk.indexOf(Buffer.from([0x1f, 0x43, 0xb6, 0x75]));
+  if (cluster > 0) return firstChunk.subarray(0, cluster);
+  // WAV: RIFF header up to the start of the "data" chunk payload
+  if (firstChunk.subarray(0, 4).toString("ascii") === "RIFF") {
+    const data = firstChunk.indexOf("data");
+    if (data > 0) return firstChunk.subarray(0, data + 8);
+  }
+  // Anything else (MP4/Ogg): reuse the whole first chunk
+  return firstChunk;
+}
+
+/** Rolling transcription of an answer while it is being recorded:
+ * - every LIVE_TRANSCRIPTION_SEGMENT_MS the new chunks become a segment (prefixed with the
+ *   container header) and are transcribed in order, one Whisper call at a time
+ * - onPartial receives the text so far after each segment
+ * - finish() transcribes the remaining chunks and resolves to the full text, or to null if
+ *   any segment failed (the caller then transcribes the whole answer instead)
+ */
+function createLiveTranscriber({ format = "webm", language = "en", onPartial = () => {} }) {
+  const chunks = [];
+  const texts = [];
+  let segmentStart = 0; // first chunk not yet handed to a segment
+  let segmentOpenedAt = null;
+  let failed = false;
+  let finishing = false;
+  let chain = Promise.resolve();
+
+  const cutSegment = () => {
+    const start = segmentStart;
+    const end = chunks.length;
+    if (end === start) return;
+    segmentStart = end;
+    segmentOpenedAt = null;
+
+    const parts = start === 0 ? chunks.slice(0, end) : [containerHeader(chunks[0]), ...chunks.slice(start, end)];
+    const buffer = Buffer.concat(parts);
+    chain = chain.then(async () => {
+      if (failed) return;
+      try {
+        // The tail of the previous text keeps Whisper consistent across segment boundaries
+        const text = await transcribeAudio(buffer, { format, language, prompt: texts.join(" ").slice(-200) });
+        if (text) texts.push(text);
+        if (text && !finishing) onPartial(texts.join(" "));
+      } catch (error) {
+        failed = true;
+        console.warn("Live transcription segment failed, will transcribe the whole answer:", error.message || error);
+      }
+    });
   };
+
+  return {
+    push(chunk) {
+      chunks.push(chunk);
+      if (segmentOpenedAt === null) {
+        segmentOpenedAt = Date.now();
+      } else if (Date.now() - segmentOpenedAt >= LIVE_TRANSCRIPTION_SEGMENT_MS) {
+        cutSegment();
+      }
+    },
+    async finish() {
+      finishing = true;
+      cutSegment();
+      await chain;
+      return failed ? null : texts.join(" ").trim();
+    },
+  };
+}
+
+// Greeting to start the interview (tts: false generates the text only, for text-only interviews)
+async function speakGreeting(ws, state, voice = "alloy", { tts = true } = {}) {
+  const s = normalizeState(state);
   
   // Build greeting prompt with candidate name if provided
   const candidateGreeting = s.candidateName && s.candidateName.trim() !== "" 
     ? `Greet the candidate by name (${s.candidateName}) and`
     : "Greet the candidate and";
   
-  // Map round IDs to round names for greeting context
-  const roundInfo = {
-    "technical": { name: "Technical Round" },
-    "hr": { name: "HR Round" },
-    "managerial": { name: "Managerial Round" },
-    "system-design": { name: "System Design Round" },
-    "coding": { name: "Coding Round" },
-  };
-  const round = s.selectedRound ? roundInfo[s.selectedRound] || { name: s.selectedRound } : null;
+  const round = getRound(s.selectedRound) || null;
   
   // Ensure we have a valid language
-  const actualLanguage = s.language || "en";
-  const languageName = languageNames[actualLanguage] || actualLanguage;
+  const actualLanguage = getLanguage(s.language).code;
+  const languageName = getLanguage(actualLanguage).name;
   
   console.log("=== SPEAK GREETING - LANGUAGE & ROUND CHECK ===");
   console.log({
@@ -500,6 +1895,12 @@ async function speakGreeting(ws, state, voice = "alloy") {
   }
   if (round) {
     greetingContext += ` Mention that this is a ${round.name}.`;
+    if (round.greetingHint) {
+      greetingContext += ` ${round.greetingHint}`;
+    }
+  }
+  if (s.resumeProfile) {
+    greetingContext += ` Show that you have read their resume by naming one thing from it (e.g. their current role or a project) in a few words.`;
   }
   
   const content = await llm(
@@ -513,39 +1914,16 @@ CRITICAL LANGUAGE REQUIREMENT: You MUST respond in ${languageName}. Every word m
 2 sentences max. ${greetingContext} Ask them to introduce themselves in ~30 seconds before we begin.
 
 ${s.jobDescription ? `Job Description Context: ${s.jobDescription.trim()}\nUse this to make the greeting more specific to the role if appropriate.` : ""}
+${s.resumeProfile ? `Candidate's resume:\n${describeResumeProfile(s.resumeProfile)}` : ""}
 
 CRITICAL RULE: You must NEVER start your response with the word 'Interviewer' or 'Interviewer:' or any speaker label. Always start directly with your greeting. Do not use any prefixes, labels, or speaker identifiers.`
       }
     ],
-    { temperature: 0.6 }
+    { temperature: 0.6, task: "greeting" }
   );
   
-  // Strip any "Interviewer" prefix if the AI includes it (comprehensive removal)
-  let cleaned = (content || "").trim();
-  
-  // Multiple passes to catch all variations
-  // Pattern 1: "Interviewer:" with colon
-  cleaned = cleaned.replace(/^Interviewer\s*:\s*/i, "");
-  // Pattern 2: "Interviewer " with space
-  cleaned = cleaned.replace(/^Interviewer\s+/i, "");
-  // Pattern 3: "Interviewer-" with dash
-  cleaned = cleaned.replace(/^Interviewer\s*-\s*/i, "");
-  // Pattern 4: "Interviewer." with period
-  cleaned = cleaned.replace(/^Interviewer\s*\.\s*/i, "");
-  // Pattern 5: Just "Interviewer" at start (catch any remaining)
-  cleaned = cleaned.replace(/^Interviewer\b\s*/i, "");
-  // Pattern 6: With any punctuation after
-  cleaned = cleaned.replace(/^Interviewer\s*[:\-\.\s]+\s*/i, "");
-  // Pattern 7: With quotes or brackets
-  cleaned = cleaned.replace(/^["'(\[]?\s*Interviewer\s*[:.\-\s)]+\s*/i, "");
-  
-  // Final trim
-  cleaned = cleaned.trim();
-  
-  // If it still starts with "Interviewer", remove it one more time
-  if (/^Interviewer/i.test(cleaned)) {
-    cleaned = cleaned.replace(/^Interviewer\s*[:.\-\s]*\s*/i, "").trim();
-  }
+  // Strip any "Interviewer" prefix if the AI includes it
+  let cleaned = stripSpeakerLabel(content) || getLanguage(actualLanguage).fallbacks.greeting;
   
   // Log the generated greeting text to verify it's in the correct language
   console.log("=== GENERATED GREETING TEXT ===");
@@ -558,7 +1936,9 @@ CRITICAL RULE: You must NEVER start your response with the word 'Interviewer' or
   });
   
   // Pass language to TTS for logging
-  await ttsToWS(ws, cleaned, voice, "mp3", actualLanguage);
+  if (tts) {
+    await ttsToWS(ws, cleaned, voice, "mp3", actualLanguage);
+  }
   return cleaned;
 }
 
@@ -566,35 +1946,15 @@ CRITICAL RULE: You must NEVER start your response with the word 'Interviewer' or
  * - Not just questions; can include brief feedback and then a follow-up question
  * - Keep it natural and short (20–60 words), in target language
  */
-async function generateInterviewerTurn(state) {
+async function generateInterviewerTurn(state, { onSentence, bankQuestion } = {}) {
   const s = normalizeState(state);
-  const history = s.transcript
-    .map((t) => `${t.from === "interviewer" ? "Interviewer" : "Candidate"}: ${t.text}`)
-    .join("\n");
+  const history = s.transcript.map(formatTranscriptEntry).join("\n");
 
-  // Map language codes to language names for better LLM understanding
-  const languageNames = {
-    "en": "English",
-    "hi": "Hindi",
-    "te": "Telugu",
-    "ta": "Tamil",
-    "fr": "French",
-  };
-  
   // Ensure we have a valid language - use the actual state value
-  const actualLanguage = s.language || "en";
-  const languageName = languageNames[actualLanguage] || actualLanguage;
-
-  // Map round IDs to round names and focus areas
-  const roundInfo = {
-    "technical": { name: "Technical Round", focus: "technical skills, problem-solving, coding abilities, algorithms, data structures, and technical depth" },
-    "hr": { name: "HR Round", focus: "behavioral questions, communication skills, cultural fit, soft skills, team collaboration, and work experience" },
-    "managerial": { name: "Managerial Round", focus: "leadership, management experience, strategic thinking, decision-making, team management, and conflict resolution" },
-    "system-design": { name: "System Design Round", focus: "architecture design, scalability, system planning, distributed systems, technical architecture, and trade-offs" },
-    "coding": { name: "Coding Round", focus: "live coding, algorithms, data structures, problem-solving, code quality, and optimization" },
-  };
-  
-  const round = s.selectedRound ? roundInfo[s.selectedRound] || { name: s.selectedRound, focus: "relevant skills" } : null;
+  const actualLanguage = getLanguage(s.language).code;
+  const languageName = getLanguage(actualLanguage).name;
+
+  const round = getRound(s.selectedRound) || null;
   
   // Use custom job role if provided
   const jobRole = s.customJobRole || s.role || "Software Engineer";
@@ -608,6 +1968,7 @@ async function generateInterviewerTurn(state) {
     round: round ? round.name : "none",
     jobRole: jobRole,
     hasJobDescription: !!(s.jobDescription && s.jobDescription.trim() !== ""),
+    hasResume: !!s.resumeProfile,
   });
 
   const systemPrompt = (s.styleTemplate || "You are an interviewer.") + 
@@ -616,6 +1977,12 @@ async function generateInterviewerTurn(state) {
   const roundInstructions = round 
     ? `This is a ${round.name} interview. Focus specifically on ${round.focus}. Ask questions that are appropriate for this round type.`
     : "";
+
+  // Questions about the candidate's own work, and claims worth checking
+  const resume = s.resumeProfile ? describeResumeProfile(s.resumeProfile) : "";
+
+  // Follow-ups on a shared diagram refer to what it actually contains
+  const design = [...s.transcript].reverse().find((t) => t.from === "design");
   
   // Build job context with description
   let jobContext = `Role: ${jobRole} (${s.level} level)`;
@@ -627,12 +1994,11 @@ async function generateInterviewerTurn(state) {
     jobContext += `\n\nJob Description:\n${s.jobDescription.trim()}\n\nUse this job description to tailor your questions to the specific role requirements, responsibilities, and skills needed. Ask questions that are directly relevant to what the job description mentions.`;
   }
   
-  const content = await llm(
-    [
-      { role: "system", content: systemPrompt },
-      {
-        role: "user",
-        content: `Conversation so far:
+  const messages = [
+    { role: "system", content: systemPrompt },
+    {
+      role: "user",
+      content: `Conversation so far:
 ${history || "(no previous messages)"}
 
 CRITICAL LANGUAGE REQUIREMENT: You MUST respond in ${languageName} (language code: ${s.language}). Every word you generate must be in ${languageName}. Do not use English or any other language.
@@ -643,44 +2009,48 @@ Now continue as the interviewer for this interview${round ? ` (${round.name})` :
 ${roundInstructions}
 ${round ? `ROUND TYPE: This is a ${round.name}. You MUST ask questions focused on: ${round.focus}.` : ""}
 ${s.jobDescription ? `IMPORTANT: Reference the job description above when asking questions. Make your questions relevant to the specific role requirements mentioned in the job description.` : ""}
+${design ? `CANDIDATE'S DESIGN: The candidate shared this diagram of their architecture:
+${design.text}
+Base follow-ups on it: refer to its components, data stores and flows by name (e.g. how one of them scales, what happens when it fails, whether a flow is missing).` : ""}
+${resume ? `CANDIDATE'S RESUME:
+${resume}
+When it fits the round, ask about their actual projects and roles by name rather than hypotheticals, and check their claims: ask for specifics only someone who did the work would know (their own part, numbers, trade-offs, what went wrong). If an answer contradicts the resume, ask about it politely. Do not read the resume back to them.` : ""}
 
-Be natural: you may briefly acknowledge their answer (1 short sentence) and ask a focused follow-up that is relevant to ${round ? round.focus : "the role and level"}${s.jobDescription ? " and the job description" : ""}.
+${bankQuestion
+  ? `NEXT QUESTION: You MUST now ask this question from the interview question bank:
+"${bankQuestion.text}"
+You may briefly acknowledge their answer first (1 short sentence). Keep the question's meaning exactly - translate it into ${languageName} if it is written in another language, but do not change, extend or replace it. Do not ask any other question.`
+  : `Be natural: you may briefly acknowledge their answer (1 short sentence) and ask a focused follow-up that is relevant to ${round ? round.focus : "the role and level"}${s.jobDescription ? " and the job description" : ""}.`}
 Keep it concise (20–60 words). One paragraph. 
 
 CRITICAL REQUIREMENTS:
 1. Respond ONLY in ${languageName}. Do not use English or any other language.
 2. You must NEVER start your response with the word 'Interviewer' or 'Interviewer:' or any speaker label. Always start directly with your question or statement. Do not use any prefixes, labels, or speaker identifiers.
 3. ${s.jobDescription ? "Make sure your questions are tailored to the job description provided above." : ""}`
-      }
-    ],
-    { temperature: 0.7 }
-  );
+    }
+  ];
 
-  // Strip any "Interviewer" prefix if the AI includes it (comprehensive removal)
-  let cleaned = (content || "").trim();
-  
-  // Multiple passes to catch all variations
-  // Pattern 1: "Interviewer:" with colon
-  cleaned = cleaned.replace(/^Interviewer\s*:\s*/i, "");
-  // Pattern 2: "Interviewer " with space
-  cleaned = cleaned.replace(/^Interviewer\s+/i, "");
-  // Pattern 3: "Interviewer-" with dash
-  cleaned = cleaned.replace(/^Interviewer\s*-\s*/i, "");
-  // Pattern 4: "Interviewer." with period
-  cleaned = cleaned.replace(/^Interviewer\s*\.\s*/i, "");
-  // Pattern 5: Just "Interviewer" at start (catch any remaining)
-  cleaned = cleaned.replace(/^Interviewer\b\s*/i, "");
-  // Pattern 6: With any punctuation after
-  cleaned = cleaned.replace(/^Interviewer\s*[:\-\.\s]+\s*/i, "");
-  // Pattern 7: With quotes or brackets
-  cleaned = cleaned.replace(/^["'(\[]?\s*Interviewer\s*[:.\-\s)]+\s*/i, "");
-  
-  // Final trim
-  cleaned = cleaned.trim();
-  
-  // If it still starts with "Interviewer", remove it one more time
-  if (/^Interviewer/i.test(cleaned)) {
-    cleaned = cleaned.replace(/^Interviewer\s*[:.\-\s]*\s*/i, "").trim();
+  const task = bankQuestion ? "bank_question" : "interviewer_turn";
+  let cleaned;
+  if (onSentence) {
+    // Streaming: each sentence goes to onSentence (TTS) while the rest is still being generated
+    let isFirstSentence = true;
+    const splitter = createSentenceSplitter((sentence) => {
+      const text = isFirstSentence ? stripSpeakerLabel(sentence) : sentence;
+      isFirstSentence = false;
+      if (text) onSentence(text);
+    });
+    const streamed = await llmStream(messages, { temperature: 0.7, task }, (delta) => splitter.push(delta));
+    splitter.flush();
+    cleaned = stripSpeakerLabel(streamed);
+    if (!cleaned) {
+      // Nothing was spoken either - say the fallback so the candidate isn't left in silence
+      cleaned = getLanguage(actualLanguage).fallbacks.followUp;
+      onSentence(cleaned);
+    }
+  } else {
+    // Strip any "Interviewer" prefix if the AI includes it
+    cleaned = stripSpeakerLabel(await llm(messages, { temperature: 0.7, task })) || getLanguage(actualLanguage).fallbacks.followUp;
   }
   
   // Log the generated text to verify it's in the correct language
@@ -695,6 +2065,13 @@ CRITICAL REQUIREMENTS:
     textLength: cleaned.length,
   });
   
+  // A streamed reply has already been spoken - the relevance check (and its retry)
+  // needs the whole text and would only add latency, so it is skipped.
+  // Bank questions are predefined, so there is nothing to check either.
+  if (onSentence || bankQuestion) {
+    return cleaned;
+  }
+
   // Validate response relevance before returning
   const isValid = await validateResponseRelevance(cleaned, s, round, jobRole);
   if (!isValid) {
@@ -726,7 +2103,7 @@ DO NOT ask unrelated questions. DO NOT change topics abruptly. Stay focused on t
 Keep it concise (20–60 words). One paragraph.`
         }
       ],
-      { temperature: 0.5 } // Lower temperature for more focused responses
+      { temperature: 0.5, task: "interviewer_turn" } // Lower temperature for more focused responses
     );
     
     let retryCleaned = (retryContent || "").trim();
@@ -784,7 +2161,7 @@ Respond with ONLY "YES" or "NO".`;
     
     const validation = await llm(
       [{ role: "user", content: validationPrompt }],
-      { temperature: 0.1, model: "gpt-4o-mini" }
+      { temperature: 0.1, task: "relevance_check" }
     );
     
     const isValid = validation.trim().toUpperCase().includes("YES");
@@ -802,9 +2179,336 @@ Respond with ONLY "YES" or "NO".`;
   }
 }
 
-// Final evaluation based on the whole transcript
-async function evaluateConversation(state) {
+// Short replies may be asides rather than answers: "could you repeat that?", "what do you mean by ...?"
+const ANSWER_INTENTS = ["answer", "repeat", "clarify"];
+const ANSWER_INTENT_MAX_CHARS = 160; // longer replies are taken as answers without asking the model
+
+// "answer", "repeat" (wants to hear the question again) or "clarify" (wants it explained).
+// Works in any interview language; fails open to "answer". Called for an answer the monthly
+// budget has been checked for, and recorded in the usage like the reply it precedes.
+async function classifyAnswerIntent(question, reply, languageName) {
+  if (reply.length > ANSWER_INTENT_MAX_CHARS) return "answer";
+  try {
+    const intent = await llm(
+      [{
+        role: "user",
+        content: `An interviewer asked a candidate:
+"${question}"
+
+The candidate replied (in ${languageName}, possibly transcribed from speech):
+"${reply}"
+
+Classify the reply:
+- repeat: only asks to hear the question again (e.g. "sorry, could you repeat that?")
+- clarify: only asks what the question means, or for more detail before answering
+- answer: anything else, including partial answers, "I don't know", and answers that also contain a question
+
+Respond with ONLY one word: answer, repeat or clarify.`,
+      }],
+      { temperature: 0, task: "answer_intent" }
+    );
+    const word = intent.trim().toLowerCase().match(/[a-z]+/)?.[0];
+    return ANSWER_INTENTS.includes(word) ? word : "answer";
+  } catch (error) {
+    console.error("Error classifying answer intent:", error);
+    return "answer";
+  }
+}
+
+// The last question explained or rephrased, without giving the answer away. Falls back to the question itself.
+async function generateClarification(state, question, request) {
+  const s = normalizeState(state);
+  const languageName = getLanguage(s.language).name;
+  const messages = [
+    {
+      role: "system",
+      content: (s.styleTemplate || "You are an interviewer.") + " Never start your response with a speaker label such as 'Interviewer:'.",
+    },
+    {
+      role: "user",
+      content: `You asked the candidate:
+"${question}"
+
+Before answering, they asked for clarification:
+"${request}"
+
+Explain or rephrase your question in 1-3 short sentences, in ${languageName} only. Don't answer it yourself or hint at the answer, and don't ask a different question. End by inviting them to answer.`,
+    },
+  ];
+  try {
+    return stripSpeakerLabel(await llm(messages, { temperature: 0.4, task: "clarification" })) || question;
+  } catch (error) {
+    console.error("Error generating clarification:", error);
+    return question;
+  }
+}
+
+const ASSESSMENT_SCORES = ["relevance", "correctness", "depth"];
+
+// Scores one answer: { relevance, correctness, depth (0-10), notes }. Throws on unusable output.
+async function assessAnswer(state, question, answer) {
+  const s = normalizeState(state);
+  const roundName = getRound(s.selectedRound)?.name || "interview";
+  const text = await llm(
+    [
+      {
+        role: "system",
+        content: `You assess a single answer from a ${s.level} ${s.customJobRole || s.role} candidate in a ${roundName}.
+Score from 0 to 10:
+- relevance: how directly the answer addresses the question
+- correctness: how accurate the content is (10 if there is nothing factual to get wrong)
+- depth: detail, reasoning and concrete examples beyond the obvious
+
+Return ONLY a JSON object:
+{"relevance": n, "correctness": n, "depth": n, "notes": "One or two sentences in ${getLanguage(s.language).name}"}`,
+      },
+      { role: "user", content: `Question: ${question}\n\nAnswer: ${answer}` },
+    ],
+    { temperature: 0.2, task: "answer_assessment" }
+  );
+
+  const output = JSON.parse(repairJSONOutput(text));
+  for (const key of ASSESSMENT_SCORES) {
+    if (typeof output[key] !== "number" || output[key] < 0 || output[key] > 10) {
+      throw new Error(`"${key}" must be a number from 0 to 10`);
+    }
+  }
+  if (typeof output.notes !== "string") {
+    throw new Error(`"notes" must be a string`);
+  }
+  return { relevance: output.relevance, correctness: output.correctness, depth: output.depth, notes: output.notes };
+}
+
+// evaluation.status
+const EVALUATION_COMPLETED = "completed";
+const EVALUATION_FAILED = "evaluation_failed";
+
+const ANSWER_QUALITY_VALUES = ["excellent", "good", "fair", "poor"];
+// The first answer plus one retry that is shown what was wrong with it
+const RUBRIC_OUTPUT_ATTEMPTS = 2;
+
+// Schema check of the model's rubric JSON; returns the problems found (empty when valid)
+function validateRubricOutput(output, dimensions, improvementDimensions) {
+  if (!output || typeof output !== "object" || Array.isArray(output)) {
+    return ["the output must be a JSON object"];
+  }
+  const problems = [];
+  const isObject = (value) => value && typeof value === "object" && !Array.isArray(value);
+  const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === "string");
+
+  for (const d of dimensions) {
+    const score = output[d.id];
+    if (typeof score !== "number" || !Number.isFinite(score) || score < 0 || score > 10) {
+      problems.push(`"${d.id}" must be a number from 0 to 10`);
+    }
+  }
+  for (const key of ["questions_answered", "total_questions"]) {
+    if (output[key] !== undefined && !(Number.isInteger(output[key]) && output[key] >= 0)) {
+      problems.push(`"${key}" must be a non-negative integer`);
+    }
+  }
+  if (!ANSWER_QUALITY_VALUES.includes(output.answer_quality)) {
+    problems.push(`"answer_quality" must be one of ${ANSWER_QUALITY_VALUES.join(", ")}`);
+  }
+  for (const key of ["strengths", "hiring_tips", "dos", "donts"]) {
+    if (!isStringList(output[key])) problems.push(`"${key}" must be an array of strings`);
+  }
+  if (!isObject(output.improvements)) {
+    problems.push(`"improvements" must be an object`);
+  } else {
+    for (const d of improvementDimensions) {
+      if (typeof output.improvements[d.id] !== "string") problems.push(`"improvements.${d.id}" must be a string`);
+    }
+  }
+  if (typeof output.notes !== "string") problems.push(`"notes" must be a string`);
+  return problems;
+}
+
+// Recovers model JSON from the usual slips: markdown fences, prose around the object, trailing commas
+function repairJSONOutput(text) {
+  let repaired = String(text || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  const start = repaired.indexOf("{");
+  const end = repaired.lastIndexOf("}");
+  if (start !== -1 && end > start) {
+    repaired = repaired.slice(start, end + 1);
+  }
+  return repaired.replace(/,\s*([}\]])/g, "$1");
+}
+
+// { output } when the text (as is, or repaired) passes the schema, otherwise { problems }
+function parseRubricOutput(text, dimensions, improvementDimensions) {
+  let output;
+  try {
+    output = JSON.parse(text);
+  } catch {
+    try {
+      output = JSON.parse(repairJSONOutput(text));
+    } catch (err) {
+      return { problems: [`the output is not valid JSON (${err.message})`] };
+    }
+  }
+  const problems = validateRubricOutput(output, dimensions, improvementDimensions);
+  return problems.length > 0 ? { problems } : { output };
+}
+
+// Asks for the rubric, retrying with the validation problems; { output } or { problems }
+async function requestRubric(messages, dimensions, improvementDimensions) {
+  let conversation = messages;
+  let problems = [];
+  for (let attempt = 1; attempt <= RUBRIC_OUTPUT_ATTEMPTS; attempt++) {
+    const text = await llm(conversation, { temperature: 0.3, task: "rubric" });
+    const result = parseRubricOutput(text, dimensions, improvementDimensions);
+    if (result.output) {
+      return result;
+    }
+    problems = result.problems;
+    console.warn(`Rubric output rejected (attempt ${attempt}/${RUBRIC_OUTPUT_ATTEMPTS}): ${problems.join("; ")}`);
+    conversation = [
+      ...messages,
+      { role: "assistant", content: text },
+      {
+        role: "user",
+        content: `That output is invalid:\n- ${problems.join("\n- ")}\n\nReturn ONLY the corrected JSON object, without markdown fences or any other text.`,
+      },
+    ];
+  }
+  return { problems };
+}
+
+// Conversation text budget for the final evaluation. Longer interviews keep the most recent
+// entries verbatim (up to half the budget) and summarize the older ones in chunks. The chunks
+// are summarized in parallel, so the evaluation waits for at most one extra model call.
+const EVALUATION_TRANSCRIPT_CHARS = Number(process.env.EVALUATION_TRANSCRIPT_CHARS || 12000);
+const TRANSCRIPT_SUMMARY_CHUNK_CHARS = 6000;
+const MAX_TRANSCRIPT_SUMMARY_CHUNKS = 8;
+// Source shown to the evaluation per coding problem (its latest submission)
+const CODE_EVIDENCE_CHARS = 4000;
+
+// Code submission results ({ from: "code" }) are attributed to the test runner, design
+// summaries ({ from: "design" }) to the candidate's diagram; unanswered turns are a note
+function formatTranscriptEntry(t) {
+  const speaker = { interviewer: "Interviewer", code: "Test runner", design: "Candidate's diagram", unanswered: "Note" }[t.from] || "Candidate";
+  return `${speaker}: ${t.text}`;
+}
+
+// "entry 3", "entries 1-4, 9-12"
+function formatEntryRanges(ranges) {
+  const single = ranges.length === 1 && ranges[0][0] === ranges[0][1];
+  return `${single ? "entry" : "entries"} ${ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(", ")}`;
+}
+
+async function summarizeTranscriptChunk(lines, from, to) {
+  const summary = await llm(
+    [
+      {
+        role: "system",
+        content: `Summarize entries ${from}-${to} of a job interview transcript for the interviewer who writes the final evaluation. For each question, note what was asked and the substance of the candidate's answer: specific examples, correct and incorrect statements, strengths and gaps. Be factual and do not score. At most 200 words, in English.`,
+      },
+      { role: "user", content: lines.join("\n") },
+    ],
+    { temperature: 0.2, task: "transcript_summary" }
+  );
+  if (!summary || !summary.trim()) {
+    throw new Error("empty summary");
+  }
+  return summary.trim();
+}
+
+// { text, verbatimFrom, coverage } where entries are numbered from 1 and verbatimFrom is the
+// first entry included word for word. coverage: { transcriptEntries, verbatim, summarized,
+// omitted, note } with [from, to] entry ranges.
+async function buildTranscriptEvidence(transcript) {
+  const lines = transcript.map(formatTranscriptEntry);
+  const size = (list) => list.reduce((sum, line) => sum + line.length + 1, 0);
+
+  if (size(lines) <= EVALUATION_TRANSCRIPT_CHARS) {
+    return {
+      text: lines.join("\n"),
+      verbatimFrom: 1,
+      coverage: {
+        transcriptEntries: lines.length,
+        verbatim: lines.length > 0 ? [1, lines.length] : null,
+        summarized: [],
+        omitted: [],
+        note: `All ${lines.length} transcript entries were evaluated verbatim.`,
+      },
+    };
+  }
+
+  // Most recent entries verbatim; the last one always, however long
+  let verbatimStart = lines.length - 1;
+  let verbatimChars = lines[verbatimStart].length + 1;
+  while (verbatimStart > 0 && verbatimChars + lines[verbatimStart - 1].length + 1 <= EVALUATION_TRANSCRIPT_CHARS / 2) {
+    verbatimStart -= 1;
+    verbatimChars += lines[verbatimStart].length + 1;
+  }
+
+  // Older entries in chunks; the chunk size grows rather than the number of calls
+  const older = lines.slice(0, verbatimStart);
+  const chunkChars = Math.max(TRANSCRIPT_SUMMARY_CHUNK_CHARS, Math.ceil(size(older) / MAX_TRANSCRIPT_SUMMARY_CHUNKS));
+  const chunks = [];
+  for (const [idx, line] of older.entries()) {
+    const current = chunks[chunks.length - 1];
+    if (current && current.chars + line.length + 1 <= chunkChars) {
+      current.lines.push(line);
+      current.to = idx + 1;
+      current.chars += line.length + 1;
+    } else {
+      chunks.push({ lines: [line], from: idx + 1, to: idx + 1, chars: line.length + 1 });
+    }
+  }
+
+  console.log(`=== SUMMARIZING TRANSCRIPT ENTRIES 1-${verbatimStart} IN ${chunks.length} CHUNK(S) ===`);
+  const results = await Promise.allSettled(
+    chunks.map((chunk) => summarizeTranscriptChunk(chunk.lines, chunk.from, chunk.to))
+  );
+
+  const parts = [];
+  const summarized = [];
+  const omitted = [];
+  results.forEach((result, idx) => {
+    const { from, to } = chunks[idx];
+    if (result.status === "fulfilled") {
+      parts.push(`[Summary of entries ${from}-${to}]\n${result.value}`);
+      summarized.push([from, to]);
+    } else {
+      console.error(`Failed to summarize transcript entries ${from}-${to}:`, result.reason?.message || result.reason);
+      parts.push(`[Entries ${from}-${to} could not be summarized and are not shown]`);
+      omitted.push([from, to]);
+    }
+  });
+  const verbatim = [verbatimStart + 1, lines.length];
+  parts.push(`[Entries ${verbatim[0]}-${verbatim[1]} verbatim]\n${lines.slice(verbatimStart).join("\n")}`);
+
+  let note = `All ${lines.length} transcript entries were considered: ${
+    summarized.length > 0 ? `${formatEntryRanges(summarized)} from summaries, ` : ""
+  }${formatEntryRanges([verbatim])} verbatim.`;
+  if (omitted.length > 0) {
+    note = `${formatEntryRanges(omitted)} could not be summarized and were not evaluated; ${
+      summarized.length > 0 ? `${formatEntryRanges(summarized)} were evaluated from summaries and ` : ""
+    }${formatEntryRanges([verbatim])} verbatim.`;
+  }
+
+  return {
+    text: parts.join("\n\n"),
+    verbatimFrom: verbatim[0],
+    coverage: { transcriptEntries: lines.length, verbatim, summarized, omitted, note },
+  };
+}
+
+// "1. Technical Skills (weight 3): Accuracy, ..." followed by its score bands
+function describeRubricDimension(dimension, number) {
+  const bands = Object.entries(dimension.anchors || {})
+    .map(([band, text]) => `   - ${band}: ${text}`)
+    .join("\n");
+  return `${number}. ${dimension.name} (weight ${dimension.weight}): ${dimension.description}${bands ? `\n${bands}` : ""}`;
+}
+
+// Final evaluation based on the whole transcript, and on the per-answer assessments made
+// during the interview when there are any (see evaluateSession)
+async function evaluateConversation(state, { assessments = [] } = {}) {
   const s = normalizeState(state);
+  const languageName = getLanguage(s.language).name;
   
   // Count questions and answers
   const interviewerMessages = s.transcript.filter(t => t.from === "interviewer");
@@ -815,25 +2519,32 @@ async function evaluateConversation(state) {
   // Build conversation with Q&A pairs for context
   const qaPairs = [];
   let currentQuestion = null;
-  for (const entry of s.transcript) {
+  let answerIndex = 0;
+  for (const [position, entry] of s.transcript.entries()) {
     if (entry.from === "interviewer") {
       currentQuestion = entry.text;
-    } else if (entry.from === "candidate" && currentQuestion) {
-      qaPairs.push({
-        question: currentQuestion,
-        answer: entry.text,
-      });
-      currentQuestion = null;
+    } else if (entry.from === "candidate") {
+      answerIndex += 1;
+      if (currentQuestion) {
+        qaPairs.push({
+          index: answerIndex,
+          entry: position + 1, // transcript entry number of the answer
+          question: currentQuestion,
+          answer: entry.text,
+        });
+        currentQuestion = null;
+      }
     }
   }
-  
-  // Truncate transcript if too long to speed up processing
-  const convo = s.transcript
-    .map((t) => `${t.from === "interviewer" ? "Interviewer" : "Candidate"}: ${t.text}`)
-    .join("\n");
-  
-  // Limit transcript length to last 4000 characters for faster processing
-  const truncatedConvo = convo.length > 4000 ? convo.slice(-4000) + "\n[... earlier conversation truncated ...]" : convo;
+
+  // The whole conversation, with older parts summarized when it is over budget
+  const conversation = await buildTranscriptEvidence(s.transcript);
+
+  // Assessed answers are given to the model as their scores and notes; the rest of the verbatim
+  // part also as Q&A pairs (summarized answers are covered by their summaries)
+  const completedAssessments = assessments.filter((a) => a.status === "completed");
+  const assessedIndexes = new Set(completedAssessments.map((a) => a.index));
+  const unassessedPairs = qaPairs.filter((qa) => !assessedIndexes.has(qa.index) && qa.entry >= conversation.verbatimFrom);
   
   // Build context string
   let contextInfo = `Interview Context:
@@ -845,15 +2556,53 @@ async function evaluateConversation(state) {
   if (s.selectedLanguage) {
     contextInfo += `\n- Programming Language Focus: ${s.selectedLanguage}`;
   }
+  // The session's rubric (picked at start), else the round's
+  const rubric = s.rubric || getRound(s.selectedRound)?.rubric || getRubric(DEFAULT_RUBRIC_ID);
+  const dimensions = rubric.dimensions;
+  // Relevance is covered by the overall notes rather than its own suggestion
+  const improvementDimensions = dimensions.filter((d) => d.id !== "relevance");
+
   if (s.selectedRound) {
-    contextInfo += `\n- Interview Round: ${s.selectedRound}`;
+    contextInfo += `\n- Interview Round: ${getRound(s.selectedRound)?.name || s.selectedRound}`;
+  }
+  const codeSubmissions = s.transcript.filter((t) => t.from === "code");
+  if (codeSubmissions.length > 0) {
+    contextInfo += `\n- Code Submissions: ${codeSubmissions.length} (run against hidden test cases)`;
+  }
+  const designs = s.transcript.filter((t) => t.from === "design");
+  if (designs.length > 0) {
+    contextInfo += `\n- Design Diagrams Shared: ${designs.length}`;
+  }
+
+  let evidence = `Conversation:\n\n${conversation.text}`;
+  if (completedAssessments.length > 0) {
+    evidence += `\n\nPer-answer assessments made during the interview (0-10):\n${completedAssessments
+      .map((a) => `A${a.index} (question: ${a.question})\nrelevance ${a.relevance}, correctness ${a.correctness}, depth ${a.depth} - ${a.notes}`)
+      .join("\n\n")}`;
+  }
+  if (unassessedPairs.length > 0) {
+    evidence += `\n\nQ&A Pairs:\n${unassessedPairs.map((qa) => `Q${qa.index}: ${qa.question}\nA${qa.index}: ${qa.answer}`).join("\n\n")}`;
+  }
+  if (codeSubmissions.length > 0) {
+    // The latest submission per problem, with its source
+    const latest = new Map(codeSubmissions.map((t) => [t.problemId, t]));
+    evidence += `\n\nCode submissions, run against hidden test cases. Score technical skills and problem-solving on these results as well as on what the candidate said: passing tests show a working solution, failing ones show gaps that explanations don't make up for.\n${[...latest.values()]
+      .map((t) => {
+        const attempts = codeSubmissions.filter((other) => other.problemId === t.problemId).length;
+        const source = t.source.length > CODE_EVIDENCE_CHARS ? `${t.source.slice(0, CODE_EVIDENCE_CHARS)}\n[...]` : t.source;
+        return `${t.text} (attempt ${attempts})\n\`\`\`${t.language}\n${source}\n\`\`\``;
+      })
+      .join("\n\n")}`;
+  }
+  if (designs.length > 0) {
+    evidence += `\n\nThe candidate's final design diagram, parsed. Score the architecture along with the conversation: whether its components, data stores and flows meet the requirements discussed, and gaps such as single points of failure, missing flows or unused components.\n${designs[designs.length - 1].text}`;
   }
 
   // OPTIMIZATION: Run both LLM calls in PARALLEL instead of sequential
   // This reduces total evaluation time from ~20-30s to ~10-15s
-  const [rubricJSON, summaryText] = await Promise.all([
-    // First call: Generate rubric
-    llm(
+  const [rubricResult, summaryText] = await Promise.all([
+    // First call: Generate rubric (validated, retried once when the output doesn't fit the schema)
+    requestRubric(
       [
         {
           role: "system",
@@ -861,42 +2610,32 @@ async function evaluateConversation(state) {
 
 ${contextInfo}
 
-You must evaluate based on:
-1. Communication Skills: Clarity, articulation, structure, listening, engagement
-2. Technical Skills: Accuracy, depth, knowledge, correctness
-3. Problem Solving: Approach, logic, creativity, analytical thinking
-4. Behavior: Professionalism, attitude, confidence, enthusiasm
-5. Relevance: How well answers match the role and level expectations
+Score each dimension from 0 to 10 using its score bands:
+${dimensions.map((d, idx) => describeRubricDimension(d, idx + 1)).join("\n")}
 
 Return ONLY a JSON object:
 {
-  "communication": n (0-10),
-  "technical": n (0-10),
-  "problem_solving": n (0-10),
-  "behavior": n (0-10),
-  "relevance": n (0-10),
+${dimensions.map((d) => `  "${d.id}": n (0-10),`).join("\n")}
   "questions_answered": ${answersGiven},
   "total_questions": ${questionsAsked},
   "answer_quality": "excellent/good/fair/poor",
-  "strengths": ["List 2-3 specific strengths in ${s.language}"],
+  "strengths": ["List 2-3 specific strengths in ${languageName}"],
   "improvements": {
-    "communication": "Specific suggestion in ${s.language}",
-    "technical": "Specific suggestion in ${s.language}",
-    "problem_solving": "Specific suggestion in ${s.language}",
-    "behavior": "Specific suggestion in ${s.language}"
+${improvementDimensions.map((d) => `    "${d.id}": "Specific suggestion in ${languageName}"`).join(",\n")}
   },
-  "hiring_tips": ["Tip 1 in ${s.language}", "Tip 2", "Tip 3"],
-  "dos": ["Do 1 in ${s.language}", "Do 2", "Do 3"],
-  "donts": ["Don't 1 in ${s.language}", "Don't 2", "Don't 3"],
-  "notes": "Overall evaluation summary in ${s.language}"
+  "hiring_tips": ["Tip 1 in ${languageName}", "Tip 2", "Tip 3"],
+  "dos": ["Do 1 in ${languageName}", "Do 2", "Do 3"],
+  "donts": ["Don't 1 in ${languageName}", "Don't 2", "Don't 3"],
+  "notes": "Overall evaluation summary in ${languageName}"
 }`
         },
         {
           role: "user",
-          content: `Conversation:\n\n${truncatedConvo}\n\nQ&A Pairs:\n${qaPairs.map((qa, idx) => `Q${idx + 1}: ${qa.question}\nA${idx + 1}: ${qa.answer}`).join('\n\n')}`
+          content: evidence
         }
       ],
-      { temperature: 0.3, model: "gpt-4o-mini" }
+      dimensions,
+      improvementDimensions
     ),
     
     // Second call: Generate summary (can run in parallel)
@@ -908,7 +2647,7 @@ Return ONLY a JSON object:
 
 ${contextInfo}
 
-Provide a FRIENDLY evaluation in ${s.language}:
+Provide a FRIENDLY evaluation in ${languageName}:
 1. Start with a positive, encouraging tone
 2. Acknowledge what went well (${answersGiven}/${questionsAsked} questions answered)
 3. Highlight 2-3 key strengths
@@ -920,60 +2659,54 @@ Be friendly, constructive, and specific. 8-12 sentences. Use a warm, supportive
         },
         {
           role: "user",
-          content: `Conversation:\n\n${truncatedConvo}\n\nQ&A Pairs:\n${qaPairs.map((qa, idx) => `Q${idx + 1}: ${qa.question}\nA${idx + 1}: ${qa.answer}`).join('\n\n')}`
+          content: evidence
         }
       ],
-      { temperature: 0.4, model: "gpt-4o-mini" }
+      { temperature: 0.4, task: "summary" }
     )
   ]);
 
-  // Parse rubric JSON
-  let parsed = {
-    communication: 5,
-    technical: 5,
-    problem_solving: 5,
-    behavior: 5,
-    relevance: 5,
+  const finalSummary = (summaryText || "").trim() || getLanguage(s.language).fallbacks.summary;
+
+  // No placeholder scores: the report says plainly that scoring failed
+  if (!rubricResult.output) {
+    console.error("Rubric evaluation failed:", rubricResult.problems.join("; "));
+    return {
+      status: EVALUATION_FAILED,
+      error: rubricResult.problems.join("; "),
+      overallScore: null,
+      summaryText: finalSummary,
+      rubric: null,
+      scores: null,
+      timeline: assessments,
+      coverage: conversation.coverage,
+    };
+  }
+
+  const parsed = {
     questions_answered: answersGiven,
     total_questions: questionsAsked,
-    answer_quality: "fair",
-    strengths: [],
-    improvements: {
-      communication: "",
-      technical: "",
-      problem_solving: "",
-      behavior: ""
-    },
-    hiring_tips: [],
-    dos: [],
-    donts: [],
-    notes: "Evaluation in progress.",
+    ...rubricResult.output,
   };
-  
-  try {
-    const j = JSON.parse(rubricJSON);
-    parsed = { ...parsed, ...j };
-  } catch (e) {
-    console.error("Failed to parse rubric JSON:", e);
-  }
-
-  const total =
-    (Number(parsed.communication) || 0) +
-    (Number(parsed.technical) || 0) +
-    (Number(parsed.problem_solving) || 0) +
-    (Number(parsed.behavior) || 0) +
-    (Number(parsed.relevance) || 0);
+  const { overallScore, dimensions: dimensionScores } = scoreRubric(rubric, parsed);
+  for (const d of dimensionScores) parsed[d.id] = d.score;
 
   return {
-    overallScore: total,
-    summaryText: summaryText || "",
+    status: EVALUATION_COMPLETED,
+    overallScore,
+    summaryText: finalSummary,
     rubric: parsed,
+    // How overallScore (0-100) was weighted
+    scores: { rubricId: rubric.id, dimensions: dimensionScores },
+    // Per-question assessments, in answer order
+    timeline: assessments,
+    // Which transcript entries were evaluated verbatim, from summaries, or not at all
+    coverage: conversation.coverage,
   };
 }
 
 /* --------------------- Sessions --------------------- */
 
-const SESSIONS = new Map(); // sessionId -> { state }
 // Use /tmp for Cloud Run (read-only filesystem except /tmp) or local tmp directory
 const TMP_DIR = process.env.NODE_ENV === 'production' ? '/tmp' : path.join(__dirname, "tmp");
 
@@ -990,47 +2723,2623 @@ if (process.env.NODE_ENV !== 'production') {
   console.log('Using /tmp directory for Cloud Run');
 }
 
-/* --------------------- WS Protocol (voice-only, conversational) ---------------------
+/* --------------------- Session store --------------------- */
+/** Session store interface (async so a store can live outside the process):
+ * - get(id)         -> session record, or undefined if missing or expired
+ * - set(id, record) -> saves the record and refreshes its TTL
+ * - delete(id)
+ * - list()          -> [{ id, ...record }] for every live session
+ * - expire()        -> evicts sessions idle longer than the TTL, returns how many
+ *
+ * A record is plain JSON: { state, resumeToken, phase, voice, evaluation, lastUtterances, createdAt, updatedAt }.
+ * SESSION_STORE picks the implementation: "memory" (default) or "file" (SESSION_STORE_DIR).
+ * Both are for a single server instance: updates are serialized, and sockets and timers live,
+ * per process. The file store keeps sessions across restarts on a persistent volume.
+ */
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 24) * 60 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000; // evict expired sessions once a minute
+
+// Runs sweep every SESSION_SWEEP_INTERVAL_MS until the server closes; it never keeps the
+// process alive on its own
+function startSweep(sweep) {
+  const interval = setInterval(sweep, SESSION_SWEEP_INTERVAL_MS);
+  interval.unref();
+  server.on('close', () => {
+    clearInterval(interval);
+  });
+}
+
+// Evicts expired records of a store (sessions, resumes); what names one record in the logs
+function startExpirySweep(store, what) {
+  startSweep(() => {
+    store.expire()
+      .then((evicted) => {
+        if (evicted > 0) {
+          console.log(`Evicted ${evicted} expired ${what}(s)`);
+        }
+      })
+      .catch((error) => console.error(`Error evicting expired ${what}s:`, error));
+  });
+}
+
+// Write then rename so a crash never leaves a half-written file behind. Each write has a temp
+// file of its own, so concurrent writes of one file can't interleave.
+let atomicWrites = 0;
+async function writeFileAtomic(file, data) {
+  const tmpFile = `${file}.${process.pid}.${++atomicWrites}.tmp`;
+  await fs.promises.writeFile(tmpFile, data);
+  await fs.promises.rename(tmpFile, file);
+}
+
+function createMemorySessionStore({ ttlMs }) {
+  const sessions = new Map(); // sessionId -> record
+  const isExpired = (record, now = Date.now()) => now - record.updatedAt > ttlMs;
+
+  return {
+    async get(id) {
+      const record = sessions.get(id);
+      if (!record) return undefined;
+      if (isExpired(record)) {
+        sessions.delete(id);
+        return undefined;
+      }
+      return record;
+    },
+    async set(id, record) {
+      const now = Date.now();
+      sessions.set(id, { ...record, createdAt: record.createdAt ?? now, updatedAt: now });
+    },
+    async delete(id) {
+      sessions.delete(id);
+    },
+    async list() {
+      const now = Date.now();
+      return [...sessions.entries()]
+        .filter(([, record]) => !isExpired(record, now))
+        .map(([id, record]) => ({ id, ...record }));
+    },
+    async expire() {
+      const now = Date.now();
+      let evicted = 0;
+      for (const [id, record] of sessions) {
+        if (isExpired(record, now)) {
+          sessions.delete(id);
+          evicted += 1;
+        }
+      }
+      return evicted;
+    },
+  };
+}
+
+// One JSON file per session. Survives restarts when the directory is on a persistent volume.
+function createFileSessionStore({ dir, ttlMs }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const isExpired = (record, now = Date.now()) => now - (record.updatedAt || 0) > ttlMs;
+
+  // Session ids come from clients (resume, REST) - never let them point outside the store directory
+  const fileFor = (id) => (/^[A-Za-z0-9-]+$/.test(String(id)) ? path.join(dir, `${id}.json`) : null);
+
+  const read = async (file) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`Could not read session file ${file}:`, err.message);
+      }
+      return undefined;
+    }
+  };
+
+  const remove = async (file) => {
+    try {
+      await fs.promises.unlink(file);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`Could not delete session file ${file}:`, err.message);
+      }
+    }
+  };
+
+  const sessionIds = async () => (await fs.promises.readdir(dir))
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => name.slice(0, -".json".length));
+
+  return {
+    async get(id) {
+      const file = fileFor(id);
+      if (!file) return undefined;
+      const record = await read(file);
+      if (!record) return undefined;
+      if (isExpired(record)) {
+        await remove(file);
+        return undefined;
+      }
+      return record;
+    },
+    async set(id, record) {
+      const file = fileFor(id);
+      if (!file) throw new Error(`Invalid session id: ${id}`);
+      const now = Date.now();
+      await writeFileAtomic(file, JSON.stringify({ ...record, createdAt: record.createdAt ?? now, updatedAt: now }));
+    },
+    async delete(id) {
+      const file = fileFor(id);
+      if (file) await remove(file);
+    },
+    async list() {
+      const now = Date.now();
+      const records = [];
+      for (const id of await sessionIds()) {
+        const record = await read(fileFor(id));
+        if (record && !isExpired(record, now)) {
+          records.push({ id, ...record });
+        }
+      }
+      return records;
+    },
+    async expire() {
+      const now = Date.now();
+      let evicted = 0;
+      for (const id of await sessionIds()) {
+        const file = fileFor(id);
+        const record = await read(file);
+        if (record && isExpired(record, now)) {
+          await remove(file);
+          evicted += 1;
+        }
+      }
+      return evicted;
+    },
+  };
+}
+
+// Directory of a file store, from an env var that must be set: the temp directory would lose the
+// data silently on Cloud Run, where /tmp is memory-backed and goes away with the instance
+function fileStoreDir(variable) {
+  const dir = process.env[variable]?.trim();
+  if (!dir) {
+    console.error(`${variable} is not set: the file store needs a directory, on a persistent volume in production`);
+    process.exit(1);
+  }
+  return dir;
+}
+
+function createSessionStore() {
+  const kind = (process.env.SESSION_STORE || "memory").toLowerCase();
+  if (kind === "file") {
+    const dir = fileStoreDir("SESSION_STORE_DIR");
+    console.log(`Using file session store at ${dir} (TTL ${SESSION_TTL_MS / 3600000}h)`);
+    return createFileSessionStore({ dir, ttlMs: SESSION_TTL_MS });
+  }
+  if (kind !== "memory") {
+    console.warn(`Unknown SESSION_STORE "${kind}", falling back to in-memory store`);
+  }
+  console.log(`Using in-memory session store (TTL ${SESSION_TTL_MS / 3600000}h)`);
+  return createMemorySessionStore({ ttlMs: SESSION_TTL_MS });
+}
+
+const sessionStore = createSessionStore();
+
+startExpirySweep(sessionStore, "session");
+
+// Sockets are kept apart from session data: a session outlives the socket that created it
+// and can be reattached to a new one with {type:"resume"}
+const LIVE_SOCKETS = new Map(); // sessionId -> ws currently attached
+
+// Session phases reported to the client on resume
+const PHASE_AWAITING_ANSWER = "awaiting_answer";
+const PHASE_GENERATING = "generating";
+const PHASE_DONE = "done";
+
+// Updates of one session run one at a time, so a background write (an answer assessment)
+// can't interleave with a turn's read-modify-write and drop its fields
+const SESSION_UPDATE_QUEUES = new Map(); // sessionId -> last queued update
+
+// Merge fields into a session record without dropping the ones that are not passed.
+// patch can be a function of the current record; returning null skips the write.
+async function updateSession(sessionId, patch) {
+  const previous = SESSION_UPDATE_QUEUES.get(sessionId) || Promise.resolve();
+  const update = previous.catch(() => {}).then(async () => {
+    const session = (await sessionStore.get(sessionId)) || {};
+    const fields = typeof patch === "function" ? patch(session) : patch;
+    if (fields) {
+      await sessionStore.set(sessionId, { ...session, ...fields });
+    }
+  });
+  SESSION_UPDATE_QUEUES.set(sessionId, update);
+  try {
+    await update;
+  } finally {
+    if (SESSION_UPDATE_QUEUES.get(sessionId) === update) {
+      SESSION_UPDATE_QUEUES.delete(sessionId);
+    }
+  }
+}
+
+/* --------------------- Usage accounting --------------------- */
+/** Every provider call reports what it consumed (tokens, audio seconds, characters). It is
+ * priced with USAGE_PRICES and added up twice: on the session record (usage, written once per
+ * turn) and in a daily ledger per tenant, which outlives the sessions so finance can bill from it.
+ *
+ * Usage totals are plain JSON:
+ *   { llm: { calls, inputTokens, outputTokens, byTask }, stt: { calls, audioSeconds },
+ *     tts: { calls, characters }, costUsd, unpricedCalls, byModel: { model: { calls, costUsd } } }
+ * Costs are estimates from list prices; calls to a model missing from the table count as
+ * unpricedCalls. USAGE_PRICES (JSON, same shape as DEFAULT_USAGE_PRICES) adds or overrides prices.
+ * Calls outside any session (none today) are booked to the "unattributed" tenant.
+ */
+// USD; llm per 1M input/output tokens, stt per audio minute, tts per 1M characters
+const DEFAULT_USAGE_PRICES = {
+  "gpt-4o-mini": { inputPerMTokens: 0.15, outputPerMTokens: 0.6 },
+  "gpt-4o": { inputPerMTokens: 2.5, outputPerMTokens: 10 },
+  "gpt-4.1-mini": { inputPerMTokens: 0.4, outputPerMTokens: 1.6 },
+  "gpt-4.1": { inputPerMTokens: 2, outputPerMTokens: 8 },
+  "whisper-1": { perAudioMinute: 0.006 },
+  "gpt-4o-transcribe": { perAudioMinute: 0.006 },
+  "gpt-4o-mini-transcribe": { perAudioMinute: 0.003 },
+  "tts-1": { perMCharacters: 15 },
+  "tts-1-hd": { perMCharacters: 30 },
+  mock: {},
+};
+
+const DEFAULT_USAGE_TENANT = "default"; // sessions started without a tenant (auth disabled)
+const UNATTRIBUTED_USAGE_TENANT = "unattributed";
+const USAGE_DAILY_DEFAULT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadUsagePrices(value) {
+  if (!value) return DEFAULT_USAGE_PRICES;
+  try {
+    const overrides = JSON.parse(value);
+    if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+      throw new Error("expected an object keyed by model");
+    }
+    return { ...DEFAULT_USAGE_PRICES, ...overrides };
+  } catch (err) {
+    console.error(`Invalid USAGE_PRICES: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+const USAGE_PRICES = loadUsagePrices(process.env.USAGE_PRICES);
+
+// Estimated cost of one call in USD, or null when the model has no price
+function priceUsage(capability, entry) {
+  const price = USAGE_PRICES[entry.model];
+  if (!price) return null;
+  if (capability === "llm") {
+    return ((entry.inputTokens || 0) * (price.inputPerMTokens || 0)
+      + (entry.outputTokens || 0) * (price.outputPerMTokens || 0)) / 1e6;
+  }
+  if (capability === "stt") {
+    return ((entry.audioSeconds || 0) / 60) * (price.perAudioMinute || 0);
+  }
+  return ((entry.characters || 0) * (price.perMCharacters || 0)) / 1e6;
+}
+
+function emptyUsage() {
+  return {
+    llm: { calls: 0, inputTokens: 0, outputTokens: 0, byTask: {} },
+    stt: { calls: 0, audioSeconds: 0 },
+    tts: { calls: 0, characters: 0 },
+    costUsd: 0,
+    unpricedCalls: 0,
+    byModel: {},
+  };
+}
+
+// Usage totals with one priced call added; returns a new object
+function addUsage(usage, capability, entry, cost) {
+  const next = structuredClone(usage || emptyUsage());
+  const model = entry.model || "unknown";
+  if (capability === "llm") {
+    const task = entry.task || "other";
+    next.llm.calls += 1;
+    next.llm.inputTokens += entry.inputTokens || 0;
+    next.llm.outputTokens += entry.outputTokens || 0;
+    next.llm.byTask[task] = (next.llm.byTask[task] || 0) + 1;
+  } else if (capability === "stt") {
+    next.stt.calls += 1;
+    next.stt.audioSeconds = Math.round((next.stt.audioSeconds + (entry.audioSeconds || 0)) * 10) / 10;
+  } else {
+    next.tts.calls += 1;
+    next.tts.characters += entry.characters || 0;
+  }
+  const byModel = next.byModel[model] || { calls: 0, costUsd: 0 };
+  next.byModel[model] = { calls: byModel.calls + 1, costUsd: roundUsd(byModel.costUsd + (cost ?? 0)) };
+  if (cost === null) {
+    next.unpricedCalls += 1;
+  } else {
+    next.costUsd = roundUsd(next.costUsd + cost);
+  }
+  return next;
+}
+
+// Micro-dollar precision: single calls often cost fractions of a cent
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Sum of several usage totals (the daily report's totals)
+function mergeUsage(usages) {
+  const total = emptyUsage();
+  for (const usage of usages) {
+    for (const key of ["calls", "inputTokens", "outputTokens"]) {
+      total.llm[key] += usage.llm[key];
+    }
+    for (const [task, calls] of Object.entries(usage.llm.byTask)) {
+      total.llm.byTask[task] = (total.llm.byTask[task] || 0) + calls;
+    }
+    total.stt.calls += usage.stt.calls;
+    total.stt.audioSeconds = Math.round((total.stt.audioSeconds + usage.stt.audioSeconds) * 10) / 10;
+    total.tts.calls += usage.tts.calls;
+    total.tts.characters += usage.tts.characters;
+    total.costUsd = roundUsd(total.costUsd + usage.costUsd);
+    total.unpricedCalls += usage.unpricedCalls;
+    for (const [model, { calls, costUsd }] of Object.entries(usage.byModel)) {
+      const byModel = total.byModel[model] || { calls: 0, costUsd: 0 };
+      total.byModel[model] = { calls: byModel.calls + calls, costUsd: roundUsd(byModel.costUsd + costUsd) };
+    }
+  }
+  return total;
+}
+
+/** Daily usage ledger interface:
+ * - add(day, tenant, capability, entry, cost) -> adds one call to that day's totals
+ * - range(fromDay, toDay, tenant?)            -> [{ day, tenant, usage }], tenant omitted = all
+ * Days are UTC "YYYY-MM-DD". Entries never expire - they are what customers are billed from.
+ * USAGE_STORE picks the implementation ("memory" or "file" in USAGE_STORE_DIR), SESSION_STORE by default.
+ */
+function createMemoryUsageLedger() {
+  const days = new Map(); // day -> Map(tenant -> usage)
+
+  return {
+    async add(day, tenant, capability, entry, cost) {
+      const tenants = days.get(day) || new Map();
+      tenants.set(tenant, addUsage(tenants.get(tenant), capability, entry, cost));
+      days.set(day, tenants);
+    },
+    async range(fromDay, toDay, tenant) {
+      return [...days.entries()]
+        .filter(([day]) => day >= fromDay && day <= toDay)
+        .flatMap(([day, tenants]) => [...tenants.entries()].map(([t, usage]) => ({ day, tenant: t, usage })))
+        .filter((row) => tenant === undefined || row.tenant === tenant);
+    },
+  };
+}
+
+// One JSON file per day: { tenant: usage }
+function createFileUsageLedger({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (day) => path.join(dir, `${day}.json`);
+  let writes = Promise.resolve(); // one read-modify-write at a time
+
+  const read = async (day) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(day), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`Could not read usage file for ${day}:`, err.message);
+      }
+      return {};
+    }
+  };
+
+  return {
+    async add(day, tenant, capability, entry, cost) {
+      const write = writes.catch(() => {}).then(async () => {
+        const tenants = await read(day);
+        tenants[tenant] = addUsage(tenants[tenant], capability, entry, cost);
+        await writeFileAtomic(fileFor(day), JSON.stringify(tenants));
+      });
+      writes = write;
+      await write;
+    },
+    async range(fromDay, toDay, tenant) {
+      const days = (await fs.promises.readdir(dir))
+        .filter((name) => /^\d{4}-\d{2}-\d{2}\.json$/.test(name))
+        .map((name) => name.slice(0, -".json".length))
+        .filter((day) => day >= fromDay && day <= toDay)
+        .sort();
+      const rows = [];
+      for (const day of days) {
+        for (const [t, usage] of Object.entries(await read(day))) {
+          if (tenant === undefined || t === tenant) {
+            rows.push({ day, tenant: t, usage });
+          }
+        }
+      }
+      return rows;
+    },
+  };
+}
+
+function createUsageLedger() {
+  const kind = (process.env.USAGE_STORE || process.env.SESSION_STORE || "memory").toLowerCase();
+  if (kind === "file") {
+    const dir = fileStoreDir("USAGE_STORE_DIR");
+    console.log(`Using file usage ledger at ${dir}`);
+    return createFileUsageLedger({ dir });
+  }
+  if (kind !== "memory") {
+    console.warn(`Unknown USAGE_STORE "${kind}", falling back to in-memory ledger`);
+  }
+  return createMemoryUsageLedger();
+}
+
+const usageLedger = createUsageLedger();
+
+// Which tenant and session provider calls are made for. Set around each socket message, so
+// background work started from it (assessments, evaluation) is attributed too.
+// sessionId is a getter: "start" only knows the session once it has created it.
+const usageContext = new AsyncLocalStorage(); // { tenant, sessionId: () => id | null }
+
+function usageDay(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Called by the provider wrappers (llm, llmStream, transcribeAudio, synthesizeSpeech).
+// Accounting must never break an interview, so failures are only logged.
+function recordUsage(capability, entry) {
+  const context = usageContext.getStore();
+  const tenant = context ? context.tenant : UNATTRIBUTED_USAGE_TENANT;
+  const sessionId = context?.sessionId();
+  const cost = priceUsage(capability, entry);
+
+  usageLedger.add(usageDay(), tenant, capability, entry, cost)
+    .catch((error) => console.error("Error recording daily usage:", error));
+  if (sessionId) {
+    PENDING_SESSION_USAGE.set(sessionId, addUsage(PENDING_SESSION_USAGE.get(sessionId), capability, entry, cost));
+  }
+}
+
+// A session's usage is added up here and written to its record in one update per turn (see
+// flushSessionUsage) rather than one per provider call
+const PENDING_SESSION_USAGE = new Map(); // sessionId -> usage not yet on the session record
+
+// Adds the usage recorded since the last flush to the session record. Called when a turn is
+// completed and when the interview is evaluated; the sweep below catches calls made after that.
+function flushSessionUsage(sessionId) {
+  const pending = PENDING_SESSION_USAGE.get(sessionId);
+  if (!pending) return Promise.resolve();
+  PENDING_SESSION_USAGE.delete(sessionId);
+  // Only sessions that exist - a late call must not recreate an expired or deleted one
+  return updateSession(sessionId, (session) => (session.state
+    ? { usage: mergeUsage([session.usage || emptyUsage(), pending]) }
+    : null))
+    .catch((error) => console.error(`Error recording usage for session ${sessionId}:`, error));
+}
+
+// The session's usage including what hasn't been flushed yet
+function sessionUsage(sessionId, record) {
+  const pending = PENDING_SESSION_USAGE.get(sessionId);
+  const usage = record.usage || emptyUsage();
+  return pending ? mergeUsage([usage, pending]) : usage;
+}
+
+startSweep(() => {
+  for (const sessionId of [...PENDING_SESSION_USAGE.keys()]) {
+    flushSessionUsage(sessionId);
+  }
+});
+
+/* --------------------- Quotas --------------------- */
+/** Limits on what one client can make the server spend, checked before any model call:
+ * - MAX_CONCURRENT_SESSIONS  unfinished interviews attached to a socket at once
+ * - MAX_STARTS_PER_HOUR      interview starts in any rolling hour
+ * - MONTHLY_TOKEN_BUDGET     LLM tokens (input + output) per UTC calendar month
+ * - MONTHLY_COST_BUDGET_USD  estimated cost per UTC calendar month (see Usage accounting)
+ * 0 (the default) means unlimited. The client is the credential's tenant, or the IP address
+ * when authentication is disabled (the X-Forwarded-For address with TRUST_PROXY=true). Session
+ * and start counts are kept per server instance; the monthly budgets are read from the usage
+ * ledger, per tenant.
+ * Over a limit: {type:"error", error:"quota_exceeded", quota, retryAfter} where retryAfter is
+ * in seconds, or null when only finishing another interview frees a slot.
+ */
+const MAX_CONCURRENT_SESSIONS = Number(process.env.MAX_CONCURRENT_SESSIONS || 0);
+const MAX_STARTS_PER_HOUR = Number(process.env.MAX_STARTS_PER_HOUR || 0);
+const MONTHLY_TOKEN_BUDGET = Number(process.env.MONTHLY_TOKEN_BUDGET || 0);
+const MONTHLY_COST_BUDGET_USD = Number(process.env.MONTHLY_COST_BUDGET_USD || 0);
+const START_WINDOW_MS = 60 * 60 * 1000;
+// Only behind a proxy that sets X-Forwarded-For (Cloud Run); otherwise anyone can send the header
+const TRUST_PROXY = process.env.TRUST_PROXY === "true";
+
+const SESSION_SLOTS = new Map(); // sessionId -> client key, while the interview is unfinished and attached
+const RECENT_STARTS = new Map(); // client key -> start times within the last hour
+
+// Behind a trusted proxy the last X-Forwarded-For hop is the address the proxy saw;
+// earlier hops are client-supplied
+function clientAddress(req) {
+  if (!TRUST_PROXY) {
+    return req.socket.remoteAddress || "unknown";
+  }
+  const hops = String(req.headers["x-forwarded-for"] || "").split(",").map((hop) => hop.trim()).filter(Boolean);
+  return hops.at(-1) || req.socket.remoteAddress || "unknown";
+}
+
+function quotaClientKey(auth, req) {
+  return auth.tenant ? `tenant:${auth.tenant}` : `ip:${clientAddress(req)}`;
+}
+
+function activeSessionCount(key) {
+  let count = 0;
+  for (const holder of SESSION_SLOTS.values()) {
+    if (holder === key) count += 1;
+  }
+  return count;
+}
+
+// The exceeded limit as { quota, retryAfter }, or null. Checks and reserves in one synchronous
+// step, so starts sent in a loop can't all pass before the first is counted.
+function reserveSessionSlot(key, sessionId, { start = true, now = Date.now() } = {}) {
+  if (MAX_CONCURRENT_SESSIONS && !SESSION_SLOTS.has(sessionId) && activeSessionCount(key) >= MAX_CONCURRENT_SESSIONS) {
+    return { quota: "concurrent_sessions", retryAfter: null };
+  }
+  if (start) {
+    const starts = (RECENT_STARTS.get(key) || []).filter((time) => now - time < START_WINDOW_MS);
+    if (MAX_STARTS_PER_HOUR && starts.length >= MAX_STARTS_PER_HOUR) {
+      return { quota: "starts_per_hour", retryAfter: Math.ceil((starts[0] + START_WINDOW_MS - now) / 1000) };
+    }
+    RECENT_STARTS.set(key, [...starts, now]);
+  }
+  SESSION_SLOTS.set(sessionId, key);
+  return null;
+}
+
+function releaseSessionSlot(sessionId) {
+  SESSION_SLOTS.delete(sessionId);
+}
+
+// The exceeded monthly budget as { quota, retryAfter }, or null; it frees up when the next UTC month starts
+async function checkMonthlyBudget(tenant, now = Date.now()) {
+  if (!MONTHLY_TOKEN_BUDGET && !MONTHLY_COST_BUDGET_USD) return null;
+  const today = usageDay(now);
+  const used = mergeUsage((await usageLedger.range(`${today.slice(0, 7)}-01`, today, tenant)).map((row) => row.usage));
+  const date = new Date(now);
+  const retryAfter = Math.ceil((Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) - now) / 1000);
+  if (MONTHLY_TOKEN_BUDGET && used.llm.inputTokens + used.llm.outputTokens >= MONTHLY_TOKEN_BUDGET) {
+    return { quota: "monthly_tokens", retryAfter };
+  }
+  if (MONTHLY_COST_BUDGET_USD && used.costUsd >= MONTHLY_COST_BUDGET_USD) {
+    return { quota: "monthly_cost", retryAfter };
+  }
+  return null;
+}
+
+// Clients that haven't started an interview within the hour are forgotten
+startSweep(() => {
+  const now = Date.now();
+  for (const [key, starts] of RECENT_STARTS) {
+    if (starts.every((time) => now - time >= START_WINDOW_MS)) {
+      RECENT_STARTS.delete(key);
+    }
+  }
+});
+
+/* --------------------- Resumes --------------------- */
+/** A resume is uploaded once (POST /resumes) and referenced from {type:"start", resumeId}.
+ * Plain text, DOCX and PDF are parsed locally; the model then extracts a profile from the text.
+ * DOCX and PDF parsers run in a child process with a memory and time limit (RESUME_PARSE_*), so
+ * a hostile file can only exhaust that process, and a DOCX that would expand beyond
+ * MAX_DOCX_UNCOMPRESSED_BYTES is rejected before parsing. The profile:
+ *   { summary, experience: [{ title, company, period, highlights }], skills, projects: [{ name, description, technologies }] }
+ * Only the profile is stored - the file and its text are dropped once it is extracted.
+ * The profile becomes state.resumeProfile, which persona, greeting and interviewer turns build on.
+ * RESUME_STORE picks the store ("memory" or "file" in RESUME_STORE_DIR), SESSION_STORE by default;
+ * resumes expire RESUME_TTL_DAYS after the upload.
+ */
+const RESUME_MAX_BYTES = Number(process.env.RESUME_MAX_MB || 5) * 1024 * 1024;
+const RESUME_TTL_MS = Number(process.env.RESUME_TTL_DAYS || 30) * DAY_MS;
+const RESUME_FORMATS = ["text", "docx", "pdf"];
+// Sent to the model; longer resumes are cut (a few pages of text)
+const MAX_RESUME_TEXT_CHARS = 20000;
+// Caps on what a profile keeps, so it stays a small part of every prompt
+const RESUME_PROFILE_LIMITS = { experience: 8, highlights: 4, skills: 40, projects: 8, technologies: 10 };
+const RESUME_PROFILE_TEXT_CHARS = 300;
+const RESUME_PARSE_TIME_LIMIT_MS = 20000;
+const RESUME_PARSE_CPU_SECONDS = 10;
+const RESUME_PARSE_MEMORY_MB = 256;
+// What the entries of a DOCX (a zip) may add up to once decompressed, as declared by the zip
+const MAX_DOCX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+
+// Reads the file from stdin and writes { text } or { error } to fd 3. The parser modules are
+// resolved by the server and passed as URLs, so the child needs no module resolution of its own.
+const RESUME_PARSER = `import fs from "fs";
+const [format, moduleUrl, maxChars] = process.argv.slice(1);
+const emit = (line) => fs.writeSync(3, JSON.stringify(line));
+try {
+  const buffer = fs.readFileSync(0);
+  let text;
+  if (format === "docx") {
+    const { default: mammoth } = await import(moduleUrl);
+    text = (await mammoth.extractRawText({ buffer })).value;
+  } else {
+    const { PDFParse } = await import(moduleUrl);
+    text = (await new PDFParse({ data: buffer }).getText({ pageJoiner: "" })).text;
+  }
+  emit({ text: text.trim().slice(0, Number(maxChars)) });
+} catch (err) {
+  emit({ error: String(err?.message ?? err) });
+}
+process.exit(0);
+`;
+const RESUME_PARSER_MODULES = { docx: import.meta.resolve("mammoth"), pdf: import.meta.resolve("pdf-parse") };
+
+function createResumeStore() {
+  const kind = (process.env.RESUME_STORE || process.env.SESSION_STORE || "memory").toLowerCase();
+  if (kind === "file") {
+    const dir = fileStoreDir("RESUME_STORE_DIR");
+    console.log(`Using file resume store at ${dir} (TTL ${RESUME_TTL_MS / DAY_MS}d)`);
+    return createFileSessionStore({ dir, ttlMs: RESUME_TTL_MS });
+  }
+  if (kind !== "memory") {
+    console.warn(`Unknown RESUME_STORE "${kind}", falling back to in-memory store`);
+  }
+  console.log(`Using in-memory resume store (TTL ${RESUME_TTL_MS / DAY_MS}d)`);
+  return createMemorySessionStore({ ttlMs: RESUME_TTL_MS });
+}
+
+const resumeStore = createResumeStore();
+
+startExpirySweep(resumeStore, "resume");
+
+// The file's own signature decides, so a wrong Content-Type can't send a PDF down the text path.
+// Anything else must be text/* (or untyped) and valid UTF-8; null when unsupported.
+function detectResumeFormat(buffer, contentType = "") {
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) return "docx";
+  const type = String(contentType).split(";")[0].trim().toLowerCase();
+  if (type && !type.startsWith("text/") && type !== "application/octet-stream") return null;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return "text";
+  } catch {
+    return null;
+  }
+}
+
+// Total uncompressed size the zip's central directory declares, or null when there is none
+// that can be read. A zip64 size (0xffffffff) counts as 4 GB.
+function zipUncompressedSize(buffer) {
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff); // end record plus the longest comment
+  for (let end = buffer.length - 22; end >= lowest; end--) {
+    if (buffer.readUInt32LE(end) !== 0x06054b50) continue;
+    const entries = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    let total = 0;
+    for (let i = 0; i < entries; i++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+      total += buffer.readUInt32LE(offset + 24);
+      offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return total;
+  }
+  return null;
+}
+
+// Plain text of the resume, up to MAX_RESUME_TEXT_CHARS; throws when the file can't be read
+async function extractResumeText(buffer, format) {
+  if (format === "text") {
+    return buffer.toString("utf8");
+  }
+  if (format === "docx") {
+    const size = zipUncompressedSize(buffer);
+    if (size === null) throw new Error("no zip central directory");
+    if (size > MAX_DOCX_UNCOMPRESSED_BYTES) throw new Error(`expands to ${size} bytes`);
+  }
+  const limits = [
+    `ulimit -t ${RESUME_PARSE_CPU_SECONDS}`,
+    "ulimit -f 0",
+    `ulimit -v ${(RESUME_PARSE_MEMORY_MB + V8_RESERVED_MB) * 1024}`,
+  ].join("; ");
+  const { output, stderr, code, signal, timedOut } = await runChildProcess("sh", [
+    "-c", `${limits}; exec "$0" "$@"`,
+    process.execPath, `--max-old-space-size=${RESUME_PARSE_MEMORY_MB}`, "--input-type=module", "-e", RESUME_PARSER,
+    format, RESUME_PARSER_MODULES[format], String(MAX_RESUME_TEXT_CHARS),
+  ], {
+    cwd: os.tmpdir(),
+    input: buffer,
+    timeLimitMs: RESUME_PARSE_TIME_LIMIT_MS,
+    maxOutputBytes: MAX_RESUME_TEXT_CHARS * 6 + 1024, // JSON escapes take up to 6 characters
+  });
+  if (timedOut) throw new Error(`parser timed out after ${RESUME_PARSE_TIME_LIMIT_MS}ms`);
+  let result;
+  try {
+    result = JSON.parse(output);
+  } catch {
+    throw new Error(`parser ${signal ? `killed by ${signal}` : `exited with code ${code}`}: ${stderr.trim().slice(-200)}`);
+  }
+  if (typeof result.error === "string") throw new Error(result.error);
+  return String(result.text ?? "");
+}
+
+// Trimmed, length-capped strings; anything else is dropped
+function profileText(value) {
+  if (typeof value !== "string" && typeof value !== "number") return "";
+  const text = String(value).replace(/\s+/g, " ").trim();
+  return text.length > RESUME_PROFILE_TEXT_CHARS ? `${text.slice(0, RESUME_PROFILE_TEXT_CHARS)}...` : text;
+}
+
+function profileList(value, limit, map = profileText) {
+  return (Array.isArray(value) ? value : []).map(map).filter(Boolean).slice(0, limit);
+}
+
+// Keeps the fields the prompts use, whatever else the model returned
+function normalizeResumeProfile(output) {
+  if (!output || typeof output !== "object" || Array.isArray(output)) {
+    throw new Error("the profile must be a JSON object");
+  }
+  const limits = RESUME_PROFILE_LIMITS;
+  return {
+    summary: profileText(output.summary),
+    experience: profileList(output.experience, limits.experience, (job) => {
+      if (!job || typeof job !== "object") return null;
+      const entry = {
+        title: profileText(job.title),
+        company: profileText(job.company),
+        period: profileText(job.period),
+        highlights: profileList(job.highlights, limits.highlights),
+      };
+      return entry.title || entry.company ? entry : null;
+    }),
+    skills: [...new Set(profileList(output.skills, limits.skills))],
+    projects: profileList(output.projects, limits.projects, (project) => {
+      if (!project || typeof project !== "object") return null;
+      const entry = {
+        name: profileText(project.name),
+        description: profileText(project.description),
+        technologies: profileList(project.technologies, limits.technologies),
+      };
+      return entry.name ? entry : null;
+    }),
+  };
+}
+
+async function extractResumeProfile(text) {
+  const resume = text.length > MAX_RESUME_TEXT_CHARS ? text.slice(0, MAX_RESUME_TEXT_CHARS) : text;
+  const output = await llm(
+    [
+      {
+        role: "system",
+        content: `You extract a candidate's background from their resume for an interviewer.
+Keep names of companies, projects and technologies exactly as written. Only use what the resume says - do not guess or embellish.
+Keep the language of the resume.
+
+Return ONLY a JSON object:
+{
+  "summary": "One sentence: current role, seniority and main area",
+  "experience": [{"title": "...", "company": "...", "period": "e.g. 2020-2024", "highlights": ["concrete claims: what they built, owned or achieved, with numbers"]}],
+  "skills": ["..."],
+  "projects": [{"name": "...", "description": "what it does and their part in it", "technologies": ["..."]}]
+}
+Most recent experience first. Use empty arrays for sections the resume doesn't have.`,
+      },
+      { role: "user", content: resume },
+    ],
+    { temperature: 0.1, task: "resume_profile" }
+  );
+  return normalizeResumeProfile(JSON.parse(repairJSONOutput(output)));
+}
+
+// Compact text of a profile for prompts
+function describeResumeProfile(profile) {
+  const lines = [];
+  if (profile.summary) lines.push(`Summary: ${profile.summary}`);
+  if (profile.experience.length > 0) {
+    lines.push("Experience:");
+    for (const job of profile.experience) {
+      const heading = [job.title, job.company].filter(Boolean).join(" at ") + (job.period ? ` (${job.period})` : "");
+      lines.push(`- ${heading}${job.highlights.length > 0 ? `: ${job.highlights.join("; ")}` : ""}`);
+    }
+  }
+  if (profile.skills.length > 0) lines.push(`Skills: ${profile.skills.join(", ")}`);
+  if (profile.projects.length > 0) {
+    lines.push("Projects:");
+    for (const project of profile.projects) {
+      const technologies = project.technologies.length > 0 ? ` [${project.technologies.join(", ")}]` : "";
+      lines.push(`- ${project.name}${project.description ? `: ${project.description}` : ""}${technologies}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// True when a profile has anything worth showing the interviewer
+function hasResumeProfile(profile) {
+  return !!profile && !!(profile.summary || profile.experience.length || profile.skills.length || profile.projects.length);
+}
+
+/* --------------------- Answer assessments --------------------- */
+/** Each answer is assessed in the background right after it is given and stored on the
+ * session record as assessments: [{ index, question, answerExcerpt, status, relevance,
+ * correctness, depth, notes, assessedAt }] (index = 1-based answer number). The final
+ * evaluation waits for the ones still running and builds on them; they also form the
+ * per-question timeline of the report. ANSWER_ASSESSMENTS=false turns them off.
+ */
+const ANSWER_ASSESSMENTS_ENABLED = process.env.ANSWER_ASSESSMENTS !== "false";
+const ANSWER_EXCERPT_CHARS = 300;
+// The final evaluation doesn't wait longer than this for assessments still running
+const ANSWER_ASSESSMENT_WAIT_MS = 15000;
+
+const PENDING_ASSESSMENTS = new Map(); // sessionId -> Set of in-flight assessment promises
+
+function startAnswerAssessment(sessionId, state, { index, question, answer }) {
+  const pending = PENDING_ASSESSMENTS.get(sessionId) || new Set();
+  PENDING_ASSESSMENTS.set(sessionId, pending);
+
+  const task = assessAnswer(state, question, answer)
+    .then((scores) => ({ status: "completed", ...scores }))
+    .catch((err) => {
+      console.error(`Assessment of answer ${index} failed:`, err.message);
+      return { status: "failed", error: err.message };
+    })
+    .then((result) => updateSession(sessionId, (record) => {
+      // The session may have expired or been deleted meanwhile
+      if (!record.state) return null;
+      const assessment = {
+        index,
+        question,
+        answerExcerpt: answer.length > ANSWER_EXCERPT_CHARS ? `${answer.slice(0, ANSWER_EXCERPT_CHARS)}...` : answer,
+        ...result,
+        assessedAt: new Date().toISOString(),
+      };
+      const others = (record.assessments || []).filter((a) => a.index !== index);
+      return { assessments: [...others, assessment].sort((a, b) => a.index - b.index) };
+    }))
+    .catch((err) => console.error(`Failed to store assessment of answer ${index}:`, err))
+    .finally(() => {
+      pending.delete(task);
+      if (pending.size === 0 && PENDING_ASSESSMENTS.get(sessionId) === pending) {
+        PENDING_ASSESSMENTS.delete(sessionId);
+      }
+    });
+  pending.add(task);
+}
+
+// Waits (bounded) for running assessments, then evaluates the interview on top of them
+async function evaluateSession(sessionId, state) {
+  const pending = [...(PENDING_ASSESSMENTS.get(sessionId) || [])];
+  if (pending.length > 0) {
+    console.log(`=== WAITING FOR ${pending.length} ANSWER ASSESSMENT(S) ===`);
+    let timer;
+    await Promise.race([
+      Promise.allSettled(pending),
+      new Promise((resolve) => { timer = setTimeout(resolve, ANSWER_ASSESSMENT_WAIT_MS); }),
+    ]);
+    clearTimeout(timer);
+  }
+  const assessments = (await sessionStore.get(sessionId))?.assessments || [];
+  return evaluateConversation(state, { assessments });
+}
+
+/* --------------------- Code execution --------------------- */
+/** Coding problems are bank questions with hidden test cases:
+ *   { id, text, function: "twoSum" | { javascript: "twoSum", python: "two_sum" },
+ *     tests: [{ args: [[2, 7, 11, 15], 9], expected: [0, 1] }] }
+ * While one is the current question (the last bank question asked), the candidate can send
+ * {type:"code_submission", language, source}. The source runs in a child process that only gets
+ * the test arguments (on stdin); its return values are compared with the expected ones here.
+ * Limits: CPU seconds, file writes and address space (ulimit) and wall-clock time. The child runs
+ * in its own namespaces (unshare): no network, none of the server's processes, and a root of its
+ * own that holds only the system directories, the runtimes and the submission, all read-only.
+ * It runs as nobody there, so sessions, resumes and .env are out of reach. Nothing runs without
+ * that isolation: hosts that can't set it up (gVisor on Cloud Run refuses unshare/pivot_root)
+ * answer every submission with code_execution_unavailable.
+ * Only exception types come back, never messages the submission controls.
+ * The results go into the transcript as { from: "code", ... } entries, which the final
+ * evaluation scores.
+ */
+const CODE_TIME_LIMIT_MS = Number(process.env.CODE_TIME_LIMIT_MS || 10000);
+const CODE_CPU_SECONDS = Number(process.env.CODE_CPU_SECONDS || 5);
+const CODE_MEMORY_MB = Number(process.env.CODE_MEMORY_MB || 256);
+const MAX_CODE_SOURCE_CHARS = 50000;
+// Return values beyond this are not worth comparing; the run is stopped
+const MAX_CODE_RESULT_BYTES = 1024 * 1024;
+const CODE_ERROR_CHARS = 300;
+const PYTHON_BIN = process.env.PYTHON_BIN || "python3";
+// V8 reserves address space up front (code range, heap pages), so JavaScript gets this on top
+// of CODE_MEMORY_MB; what it can actually fill stays within a few hundred MB of the limit
+const V8_RESERVED_MB = 1024;
+const UNSHARE_ARGS = ["--net", "--pid", "--fork", "--mount", "--map-root-user"];
+const SANDBOX_SYSTEM_DIRS = ["/usr", "/bin", "/sbin", "/lib", "/lib32", "/lib64", "/libx32"];
+
+// Runs as root of a fresh user namespace: builds a tmpfs root in $base/root with the system
+// directories, the extra (":"-separated) directories and $base/work bind-mounted read-only,
+// switches to it, then runs the command with the ulimits as nobody in a nested user namespace.
+// Arguments: base, extra directories, ulimit commands, command...
+const SANDBOX_SETUP = String.raw`set -e
+base=$1; dirs=$2; limits=$3; shift 3
+root=$base/root
+mount -t tmpfs -o size=64k,mode=755 sandbox "$root"
+readonly_bind() {
+  mkdir -p "$2"
+  mount --bind "$1" "$2"
+  mount -o remount,bind,ro,nosuid,nodev "$2"
+}
+IFS=:
+for dir in ${SANDBOX_SYSTEM_DIRS.join(" ")} $dirs; do
+  if [ -L "$dir" ]; then ln -s "$(readlink "$dir")" "$root$dir"; elif [ -d "$dir" ]; then readonly_bind "$dir" "$root$dir"; fi
+done
+unset IFS
+readonly_bind "$base/work" "$root/work"
+mkdir "$root/proc" "$root/dev"
+mount -t proc proc "$root/proc"
+touch "$root/dev/null"
+mount --bind /dev/null "$root/dev/null"
+cd "$root"
+mkdir .old
+pivot_root . .old
+umount -l /.old
+rmdir /.old
+mount -o remount,ro /
+cd /work
+exec unshare --user --map-user=65534 --map-group=65534 sh -c "$limits; \"\$0\" \"\$@\"" "$@"`;
+
+// Output of a setup command, or null if it failed or took longer than 5 seconds
+function commandOutput(command, args) {
+  return new Promise((resolve) => {
+    execFile(command, args, { encoding: "utf8", timeout: 5000 }, (error, stdout) => resolve(error ? null : stdout));
+  });
+}
+
+// The interpreter behind PYTHON_BIN (which may be a shim) and its install prefix, or null
+async function resolvePython() {
+  const stdout = await commandOutput(PYTHON_BIN, ["-I", "-c", "import sys; print(sys.executable); print(sys.base_prefix)"]);
+  if (stdout === null) return null;
+  const [executable, prefix] = stdout.trim().split("\n");
+  return executable ? { executable, prefix } : null;
+}
+
+// Filled in by setUpCodeExecution; code submissions are unavailable until it has found a working
+// sandbox, and for good where there is none
+const CODE_SANDBOX = {
+  enabled: false,
+  python: null,
+  runtimeDirs: [], // install directories of the runtimes that the system directories don't already cover
+  languages: [],
+};
+
+// The shell command running argv in the sandbox; the submission is in dir/work, /work inside
+function sandboxCommand(dir, limits, argv) {
+  return ["unshare", ...UNSHARE_ARGS, "sh", "-c", SANDBOX_SETUP, "sandbox", dir, CODE_SANDBOX.runtimeDirs.join(":"), limits, ...argv];
+}
+
+// Sets up the real sandbox once, running true in it
+async function sandboxWorks() {
+  let dir;
+  try {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "code-"));
+    await fs.promises.mkdir(path.join(dir, "work"));
+    await fs.promises.mkdir(path.join(dir, "root"));
+    const [file, ...args] = sandboxCommand(dir, "ulimit -f 0", ["true"]);
+    return (await commandOutput(file, args)) !== null;
+  } catch {
+    return false;
+  } finally {
+    if (dir) await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Read { entry, tests } from stdin and write one JSON line per test to fd 3; stdout stays the
+// candidate's own (and is discarded). Errors are reported as the built-in exception type they
+// are: a name or message set by the submission could carry anything out.
+const JS_CODE_RUNNER = `"use strict";
+const fs = require("fs");
+const vm = require("vm");
+const { entry, tests } = JSON.parse(fs.readFileSync(0, "utf8"));
+const emit = (line) => fs.writeSync(3, JSON.stringify(line) + "\\n");
+const BUILTIN_ERRORS = [SyntaxError, ReferenceError, TypeError, RangeError, URIError, EvalError, AggregateError]
+  .map((type) => [type, type.name]);
+const errorType = (err) => (BUILTIN_ERRORS.find(([type]) => err instanceof type) || [null, "Error"])[1];
+(async () => {
+  let solve;
+  try {
+    // A script rather than a module, so top-level declarations are reachable by name
+    globalThis.require = require;
+    globalThis.module = { exports: {} };
+    vm.runInThisContext(fs.readFileSync("solution.js", "utf8"), { filename: "solution.js" });
+    solve = vm.runInThisContext("typeof " + entry + " === 'function' ? " + entry + " : module.exports." + entry);
+  } catch (err) {
+    emit({ error: errorType(err) });
+    return;
+  }
+  if (typeof solve !== "function") {
+    emit({ error: entry + " is not defined as a function" });
+    return;
+  }
+  for (const [index, args] of tests.entries()) {
+    let value;
+    try {
+      value = await solve(...args);
+    } catch (err) {
+      emit({ index, error: errorType(err) });
+      continue;
+    }
+    try {
+      emit({ index, value: value === undefined ? null : value });
+    } catch {
+      emit({ index, error: "unserializable result" });
+    }
+  }
+})();
+`;
+
+// Everything lives in main(), so the tests aren't module globals of __main__
+const PY_CODE_RUNNER = `import builtins, json, os, runpy, sys
+
+def main():
+    spec = json.loads(sys.stdin.read())
+    out = os.fdopen(3, "w")
+    builtin_errors = {value for value in vars(builtins).values() if isinstance(value, type) and issubclass(value, BaseException)}
+
+    def emit(line):
+        out.write(json.dumps(line, allow_nan=False) + "\\n")
+        out.flush()
+
+    def error_type(err):
+        return next((cls.__name__ for cls in type(err).__mro__ if cls in builtin_errors), "Exception")
+
+    try:
+        namespace = runpy.run_path("solution.py", run_name="solution")
+    except BaseException as err:
+        emit({"error": error_type(err)})
+        return
+    solve = namespace.get(spec["entry"])
+    if not callable(solve):
+        emit({"error": spec["entry"] + " is not defined as a function"})
+        return
+    for index, args in enumerate(spec["tests"]):
+        try:
+            value = solve(*args)
+        except BaseException as err:
+            emit({"index": index, "error": error_type(err)})
+            continue
+        try:
+            emit({"index": index, "value": value})
+        except (TypeError, ValueError):
+            emit({"index": index, "error": "unserializable result"})
+
+main()
+`;
+
+const CODE_RUNTIMES = {
+  javascript: {
+    name: "JavaScript",
+    available: () => true,
+    files: (source) => ({ "solution.js": source, "runner.cjs": JS_CODE_RUNNER }),
+    command: (dir) => [
+      process.execPath,
+      Number(process.versions.node.split(".")[0]) >= 22 ? "--permission" : "--experimental-permission",
+      `--allow-fs-read=${dir}`,
+      `--max-old-space-size=${CODE_MEMORY_MB}`,
+      "--no-warnings",
+      "runner.cjs",
+    ],
+    // The heap flag alone leaves ArrayBuffers and Buffers unlimited
+    memoryLimitKb: (CODE_MEMORY_MB + V8_RESERVED_MB) * 1024,
+  },
+  python: {
+    name: "Python",
+    available: () => CODE_SANDBOX.python !== null,
+    files: (source) => ({ "solution.py": source, "runner.py": PY_CODE_RUNNER }),
+    command: () => [CODE_SANDBOX.python.executable, "-I", "-B", "runner.py"],
+    memoryLimitKb: CODE_MEMORY_MB * 1024,
+  },
+};
+
+// Probes the runtimes and the sandbox in the background, so startup doesn't wait on the spawns
+async function setUpCodeExecution() {
+  const python = await resolvePython();
+  CODE_SANDBOX.python = python;
+  CODE_SANDBOX.runtimeDirs = [...new Set([
+    path.dirname(path.dirname(await fs.promises.realpath(process.execPath))),
+    ...(python ? [path.dirname(path.dirname(await fs.promises.realpath(python.executable))), python.prefix] : []),
+  ])].filter((dir) => !dir.includes(":") && !SANDBOX_SYSTEM_DIRS.some((system) => dir === system || dir.startsWith(`${system}/`)));
+  if (!(await sandboxWorks())) {
+    console.error("Code submissions are disabled: the sandbox can't be set up on this host (unshare and pivot_root need unprivileged user namespaces, which gVisor on Cloud Run doesn't provide)");
+    return;
+  }
+  CODE_SANDBOX.languages = Object.keys(CODE_RUNTIMES).filter((language) => CODE_RUNTIMES[language].available());
+  CODE_SANDBOX.enabled = true;
+  console.log(`Code submissions: ${CODE_SANDBOX.languages.join(", ")}`);
+}
+
+setUpCodeExecution().catch((error) => console.error("Code submissions are disabled: setting up the sandbox failed:", error));
+
+// The coding problem of the last bank question asked, or null
+function currentCodingProblem(state) {
+  const asked = state.askedQuestions[state.askedQuestions.length - 1];
+  if (!asked) return null;
+  const question = QUESTION_BANKS.find((bank) => bank.id === asked.bankId)?.questions.find((q) => q.id === asked.id);
+  return question?.tests ? question : null;
+}
+
+// Key order doesn't matter for objects; otherwise values must match exactly
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => Object.hasOwn(b, key) && sameValue(a[key], b[key]));
+}
+
+// Runs an untrusted workload (code submissions, resume parsers) in a fresh process group that
+// is killed after timeLimitMs or once it has written more than maxOutputBytes. It gets input on
+// stdin and writes its results to fd 3; stdout is discarded. Resolves when it has exited.
+function runChildProcess(file, args, { cwd, input, timeLimitMs, maxOutputBytes }) {
+  return new Promise((resolve) => {
+    const child = spawn(file, args, {
+      cwd,
+      env: { PATH: process.env.PATH, LANG: "C.UTF-8" }, // nothing of the server's environment
+      stdio: ["pipe", "ignore", "pipe", "pipe"],
+      detached: true,
+    });
+    let output = "";
+    let stderr = "";
+    let timedOut = false;
+    let tooLarge = false;
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        // already gone
+      }
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, timeLimitMs);
+
+    child.stdio[3].setEncoding("utf8");
+    child.stdio[3].on("data", (chunk) => {
+      output += chunk;
+      if (output.length > maxOutputBytes) {
+        tooLarge = true;
+        killGroup();
+      }
+    });
+    child.stderr.setEncoding("utf8");
+    child.stderr.on("data", (chunk) => {
+      if (stderr.length < 4096) stderr += chunk;
+    });
+    child.stdin.on("error", () => {}); // the process may exit before reading its input
+    child.stdin.end(input);
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      resolve({ output, stderr: err.message, code: null, signal: null, timedOut, tooLarge });
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      resolve({ output, stderr, code, signal, timedOut, tooLarge });
+    });
+  });
+}
+
+// Runs argv on the submission in dir/work with the ulimits applied
+function runSandboxed(argv, { dir, input, memoryLimitKb }) {
+  const limits = [`ulimit -t ${CODE_CPU_SECONDS}`, "ulimit -f 0", `ulimit -v ${memoryLimitKb}`].join("; ");
+  const [file, ...args] = sandboxCommand(dir, limits, argv);
+  return runChildProcess(file, args, {
+    cwd: path.join(dir, "work"),
+    input,
+    timeLimitMs: CODE_TIME_LIMIT_MS,
+    maxOutputBytes: MAX_CODE_RESULT_BYTES,
+  });
+}
+
+/** Run a submission against the problem's hidden tests:
+ *   { status: "passed" | "failed" | "error" | "time_limit" | "memory_limit", passed, total,
+ *     tests: [{ index, status: "passed" | "failed" | "error" | "not_run", error? }], error? }
+ * Test arguments and expected values never leave the server.
+ */
+async function runCodeSubmission(problem, language, source) {
+  const runtime = CODE_RUNTIMES[language];
+  const entry = typeof problem.function === "string" ? problem.function : problem.function[language];
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "code-"));
+  try {
+    // work/ holds the files; root/ is where the sandbox mounts its own root
+    await fs.promises.mkdir(path.join(dir, "work"));
+    await fs.promises.mkdir(path.join(dir, "root"));
+    for (const [name, content] of Object.entries(runtime.files(source, entry))) {
+      await fs.promises.writeFile(path.join(dir, "work", name), content);
+    }
+    const startedAt = Date.now();
+    const run = await runSandboxed(runtime.command("/work"), {
+      dir,
+      input: JSON.stringify({ entry, tests: problem.tests.map((test) => test.args) }),
+      memoryLimitKb: runtime.memoryLimitKb,
+    });
+
+    const lines = [];
+    for (const raw of run.output.split("\n")) {
+      try {
+        if (raw.trim()) lines.push(JSON.parse(raw));
+      } catch {
+        // a truncated last line
+      }
+    }
+    const loadError = lines.find((line) => line.index === undefined && line.error);
+    const tests = problem.tests.map((test, index) => {
+      const line = lines.find((l) => l.index === index);
+      if (!line) return { index, status: "not_run" };
+      if (line.error) return { index, status: "error", error: line.error };
+      return { index, status: sameValue(line.value, test.expected) ? "passed" : "failed" };
+    });
+    const passed = tests.filter((test) => test.status === "passed").length;
+
+    let status = passed === tests.length ? "passed" : "failed";
+    let error;
+    if (loadError) {
+      status = "error";
+      error = String(loadError.error).slice(0, CODE_ERROR_CHARS);
+    } else if (tests.some((test) => test.status === "not_run")) {
+      // Killed by the wall clock, the CPU limit (SIGXCPU/SIGKILL) or a crash
+      if (/out of memory|MemoryError|bad_alloc|allocation failed/i.test(run.stderr)) {
+        status = "memory_limit";
+      } else if (run.timedOut || ["SIGXCPU", "SIGKILL"].includes(run.signal) || [128 + 24, 128 + 9].includes(run.code)) {
+        status = run.tooLarge ? "error" : "time_limit";
+        if (run.tooLarge) error = "results too large";
+      } else {
+        // stderr is the submission's to write, so it stays in the server log
+        status = "error";
+        error = run.signal ? `killed by ${run.signal}` : `exited with code ${run.code}`;
+        console.warn(`Code submission (${language}) crashed: ${run.stderr.trim().split("\n").pop() || error}`);
+      }
+    }
+    console.log(`Code submission (${language}): ${status}, ${passed}/${tests.length} tests passed in ${Date.now() - startedAt}ms`);
+    return { status, passed, total: tests.length, tests, ...(error ? { error } : {}) };
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// One line for the transcript, e.g. "Python submission for two-sum: 3 of 4 hidden tests passed."
+function describeCodeResult(problemId, language, result) {
+  const outcome = {
+    error: `it could not run (${result.error})`,
+    time_limit: "it ran out of time",
+    memory_limit: "it ran out of memory",
+  }[result.status];
+  return `${CODE_RUNTIMES[language].name} submission for ${problemId}: ${result.passed} of ${result.total} hidden tests passed${
+    outcome ? `; ${outcome}` : ""
+  }.`;
+}
+
+/* --------------------- Design submissions --------------------- */
+/** In rounds with designSubmissions (system-design), the candidate can share the architecture
+ * being discussed as {type:"design_submission", format, source}:
+ * - mermaid:  a flowchart ("flowchart LR" / "graph TD")
+ * - plantuml: a component or deployment diagram
+ * - json:     { components: [{ id, name?, type? }], edges: [{ from, to, label? }] } (as text or object)
+ * All three are parsed into one graph of components { id, name, kind } and edges
+ * { from, to, label, bidirectional }. kind (client, service, datastore, cache, queue, external)
+ * comes from the shape or type where the diagram has one, otherwise from the name ("Orders DB").
+ * The summary (components, data stores, flows) goes into the transcript as a { from: "design" }
+ * entry, which the interviewer's follow-ups and the final evaluation work from.
+ */
+const DESIGN_FORMATS = ["mermaid", "plantuml", "json"];
+const MAX_DESIGN_SOURCE_CHARS = 20000;
+const MAX_DESIGN_COMPONENTS = 100;
+const MAX_DESIGN_EDGES = 300;
+const DESIGN_KINDS = ["client", "service", "datastore", "cache", "queue", "external"];
+const DESIGN_KIND_NAMES = {
+  client: "clients", service: "services", datastore: "data stores", cache: "caches", queue: "queues", external: "external services",
+};
+
+// Kinds guessed from names and types, first match wins
+const DESIGN_KIND_PATTERNS = [
+  ["cache", /\b(cache|redis|memcached?)\b/i],
+  ["queue", /\b(queues?|kafka|sqs|sns|rabbitmq|pub\/?sub|kinesis|event ?bus|topics?|streams?)\b/i],
+  ["datastore", /\b(db|database|datastore|data ?store|sql|postgres(ql)?|mysql|mongo(db)?|dynamo(db)?|cassandra|s3|buckets?|storage|blob|warehouse|elasticsearch)\b/i],
+  ["client", /\b(clients?|users?|actors?|browsers?|mobile|customers?|frontend)\b/i],
+  ["external", /\b(external|third[- ]party)\b/i],
+];
+
+function guessDesignKind(...names) {
+  for (const [kind, pattern] of DESIGN_KIND_PATTERNS) {
+    if (names.some((name) => name && pattern.test(name))) return kind;
+  }
+  return "service";
+}
+
+// Collects components and edges in declaration order; a component referenced before it is
+// declared gets its name and kind from the declaration
+function createDesignGraph() {
+  const components = new Map();
+  const edges = [];
+  return {
+    components,
+    edges,
+    component(id, { name, kind } = {}) {
+      const existing = components.get(id);
+      if (existing) {
+        if (name) existing.name = name;
+        if (kind) existing.kind = kind;
+        return existing;
+      }
+      const created = { id, name: name || id, kind };
+      components.set(id, created);
+      return created;
+    },
+    edge(from, to, { label = "", bidirectional = false } = {}) {
+      edges.push({ from, to, label, bidirectional });
+    },
+  };
+}
+
+const cleanDesignLabel = (label) => label.replace(/<br\s*\/?>|\\n/gi, " ").replace(/^"|"$/g, "").replace(/\s+/g, " ").trim();
+
+// Mermaid node shapes, longest delimiters first; a cylinder is a data store
+const MERMAID_SHAPES = [
+  ["[(", ")]", "datastore"], ["([", "])"], ["[[", "]]"], ["((", "))"], ["{{", "}}"],
+  ["[/", "/]"], ["[\\", "\\]"], ["[/", "\\]"], ["[\\", "/]"], ["[", "]"], ["(", ")"], ["{", "}"], [">", "]"],
+];
+const MERMAID_ID = /^[A-Za-z0-9_]+(?:[.-][A-Za-z0-9_]+)*/;
+// "-- text -->": the opening, then the first closing arrow after it (found by readMermaidTextLink).
+// Then "-->", "---", "-.->", "==>", "<-->" with an optional "|text|".
+const MERMAID_TEXT_LINK_OPEN = /^(<?)(--|==|-\.)\s/;
+const MERMAID_TEXT_LINK_CLOSE = /\s(-{2,}|={2,}|\.-+)([>ox]?)(?=\s|[A-Za-z0-9_])/g;
+const MERMAID_LINK = /^(<?)(-{2,}|={2,}|-\.+-)([>ox]?)(?:\s*\|([^|]*)\|)?/;
+const MERMAID_IGNORED = /^(subgraph|end|direction|classDef|class|style|linkStyle|click|accTitle|accDescr)\b/;
+// Longer statements (lines) are skipped unparsed; no diagram needs them, and the patterns stay cheap
+const MAX_DESIGN_STATEMENT_CHARS = 1000;
+
+// "-- text -->" at the start of text as [match, "<", opening, text, closing, head], like the
+// other link patterns, or null. One forward scan: a single pattern for the whole link backtracks
+// catastrophically over long runs of spaces.
+function readMermaidTextLink(text) {
+  const open = MERMAID_TEXT_LINK_OPEN.exec(text);
+  if (!open) return null;
+  MERMAID_TEXT_LINK_CLOSE.lastIndex = open[0].length - 1;
+  const close = MERMAID_TEXT_LINK_CLOSE.exec(text);
+  if (!close) return null;
+  const label = text.slice(open[0].length, close.index).trim();
+  if (!label || /[|>]/.test(label)) return null;
+  return [text.slice(0, close.index + close[0].length), open[1], open[2], label, close[1], close[2]];
+}
+
+// Statements of a line: ";" separates them, except inside quotes and brackets (A["read; write"])
+function splitMermaidStatements(line) {
+  const statements = [];
+  let start = 0;
+  let depth = 0;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') quoted = !quoted;
+    else if (quoted) continue;
+    else if ("([{".includes(char)) depth += 1;
+    else if (")]}".includes(char)) depth = Math.max(0, depth - 1);
+    else if (char === ";" && depth === 0) {
+      statements.push(line.slice(start, i));
+      start = i + 1;
+    }
+  }
+  statements.push(line.slice(start));
+  return statements;
+}
+
+function parseMermaidDesign(source) {
+  const graph = createDesignGraph();
+  const warnings = [];
+  const lines = source.split(/\r?\n/);
+  let header = null;
+
+  // One node (id plus optional shape and label) at the start of text; null if there is none
+  const readNode = (text) => {
+    const id = MERMAID_ID.exec(text)?.[0];
+    if (!id) return null;
+    let rest = text.slice(id.length).replace(/^:::[\w-]+/, "");
+    let name;
+    let kind;
+    const shape = MERMAID_SHAPES.find(([open]) => rest.startsWith(open));
+    if (shape) {
+      const [open, close, shapeKind] = shape;
+      const body = rest.slice(open.length);
+      const quoted = /^"([^"]*)"/.exec(body);
+      const end = quoted ? body.indexOf(close, quoted[0].length) : body.indexOf(close);
+      if (end < 0) return null;
+      name = cleanDesignLabel(quoted ? quoted[1] : body.slice(0, end));
+      kind = shapeKind;
+      rest = body.slice(end + close.length).replace(/^:::[\w-]+/, "");
+    }
+    return { id, name, kind, rest };
+  };
+
+  // "A & B" → ids, or null
+  const readNodes = (text) => {
+    const ids = [];
+    let rest = text;
+    for (;;) {
+      const node = readNode(rest);
+      if (!node) return null;
+      graph.component(node.id, { name: node.name, kind: node.kind });
+      ids.push(node.id);
+      rest = node.rest.trimStart();
+      if (!rest.startsWith("&")) return { ids, rest };
+      rest = rest.slice(1).trimStart();
+    }
+  };
+
+  const statements = lines.flatMap((raw, index) =>
+    splitMermaidStatements(raw.replace(/%%.*$/, "")).map((line) => ({ index, line: line.trim() }))
+  );
+  for (const { index, line } of statements) {
+    if (!line) continue;
+    if (!header) {
+      header = /^(flowchart|graph)\b/.exec(line);
+      if (!header) {
+        return { problems: [`line ${index + 1}: only flowcharts are supported (start with "flowchart LR" or "graph TD")`] };
+      }
+      continue;
+    }
+    if (MERMAID_IGNORED.test(line)) continue;
+    if (line.length > MAX_DESIGN_STATEMENT_CHARS) {
+      warnings.push(`line ${index + 1} ignored: longer than ${MAX_DESIGN_STATEMENT_CHARS} characters`);
+      continue;
+    }
+
+    // A line that doesn't parse is rolled back, so it adds nothing
+    const before = { components: new Set(graph.components.keys()), edges: graph.edges.length };
+    let group = readNodes(line);
+    let ok = !!group;
+    while (ok && group.rest) {
+      const textLink = readMermaidTextLink(group.rest);
+      const link = textLink || MERMAID_LINK.exec(group.rest);
+      if (!link) {
+        ok = false;
+        break;
+      }
+      const reverse = link[1] === "<";
+      const head = textLink ? link[5] : link[3];
+      const label = cleanDesignLabel((textLink ? link[3] : link[4]) || "");
+      const next = readNodes(group.rest.slice(link[0].length).trimStart());
+      if (!next) {
+        ok = false;
+        break;
+      }
+      for (const from of group.ids) {
+        for (const to of next.ids) {
+          graph.edge(from, to, { label, bidirectional: reverse || head !== ">" });
+        }
+      }
+      group = next;
+    }
+    if (!ok) {
+      for (const id of graph.components.keys()) {
+        if (!before.components.has(id)) graph.components.delete(id);
+      }
+      graph.edges.length = before.edges;
+      warnings.push(`line ${index + 1} ignored: ${line.slice(0, 80)}`);
+    }
+  }
+  if (!header) return { problems: ["the diagram is empty"] };
+  return { graph, warnings };
+}
+
+const PLANTUML_ELEMENT = /^(actor|agent|boundary|card|cloud|collections|component|control|database|entity|file|folder|frame|hexagon|interface|node|package|person|queue|rectangle|stack|storage|usecase)\s+(.+)$/;
+const PLANTUML_GROUPS = ["package", "frame", "folder", "rectangle", "node", "cloud"];
+const PLANTUML_KINDS = { database: "datastore", storage: "datastore", queue: "queue", actor: "client", person: "client", agent: "client", cloud: "external" };
+// "Label" as Alias, Alias as "Label", [Label] as Alias, Alias
+const PLANTUML_NAME = /^(?:"([^"]+)"|\[([^\]]+)\]|(\w+(?:\.\w+)*))(?:\s+as\s+(?:"([^"]+)"|(\w+(?:\.\w+)*)))?/;
+// A --> B : label, [A] ..> [B], A -up-> B, A -[#red]-> B, A <--> B, A -- B
+const PLANTUML_RELATION = /^("[^"]+"|\[[^\]]+\]|:[^:]+:|\w+(?:\.\w+)*)\s*(<?[-.]+(?:\[[^\]]*\])?(?:up|down|left|right|[udlr])?[-.]*>?)\s*("[^"]+"|\[[^\]]+\]|:[^:]+:|\w+(?:\.\w+)*)\s*(?::\s*(.*))?$/;
+const PLANTUML_IGNORED = /^(@startuml|@enduml|skinparam|title|header|footer|caption|left to right direction|top to bottom direction|hide|show|scale|!|}|together\b)/;
+
+function parsePlantUmlDesign(source) {
+  const graph = createDesignGraph();
+  const warnings = [];
+  let block = null; // "note" / "legend" / comment blocks are skipped up to their end
+
+  // An endpoint as written in a relation: alias, [Component], "Name" or :Actor:
+  const endpoint = (token) => {
+    if (token.startsWith("[")) return graph.component(token.slice(1, -1).trim()).id;
+    if (token.startsWith(":")) return graph.component(token.slice(1, -1).trim(), { kind: "client" }).id;
+    if (token.startsWith('"')) {
+      const name = token.slice(1, -1).trim();
+      return ([...graph.components.values()].find((c) => c.name === name) || graph.component(name)).id;
+    }
+    return graph.component(token).id;
+  };
+
+  for (const [index, raw] of source.split(/\r?\n/).entries()) {
+    let line = raw.trim();
+    if (block) {
+      if (block.test(line)) block = null;
+      continue;
+    }
+    if (line.startsWith("/'")) {
+      if (!line.includes("'/")) block = /'\/\s*$/;
+      continue;
+    }
+    if (!line || line.startsWith("'") || PLANTUML_IGNORED.test(line)) continue;
+    if (line.length > MAX_DESIGN_STATEMENT_CHARS) {
+      warnings.push(`line ${index + 1} ignored: longer than ${MAX_DESIGN_STATEMENT_CHARS} characters`);
+      continue;
+    }
+    if (/^note\b/.test(line)) {
+      if (!line.includes(":")) block = /^end ?note\b/;
+      continue;
+    }
+    if (/^legend\b/.test(line)) {
+      block = /^end ?legend\b/;
+      continue;
+    }
+
+    // Stereotypes, colors and an opening brace don't matter for the summary
+    const opensGroup = /\{\s*$/.test(line);
+    line = line.replace(/\{\s*$/, "").replace(/<<[^>]*>>/g, "").replace(/\s#[\w]+/g, "").trim();
+
+    const relation = PLANTUML_RELATION.exec(line);
+    if (relation) {
+      const [, left, arrow, right, label = ""] = relation;
+      const from = endpoint(left);
+      const to = endpoint(right);
+      const reverse = arrow.startsWith("<") && !arrow.endsWith(">");
+      graph.edge(reverse ? to : from, reverse ? from : to, {
+        label: cleanDesignLabel(label),
+        bidirectional: arrow.startsWith("<") === arrow.endsWith(">"),
+      });
+      continue;
+    }
+
+    const element = PLANTUML_ELEMENT.exec(line);
+    if (element) {
+      const [, keyword, rest] = element;
+      // A container with braces groups components; it isn't one
+      if (opensGroup && PLANTUML_GROUPS.includes(keyword)) continue;
+      const name = PLANTUML_NAME.exec(rest);
+      if (name) {
+        const [, quoted, bracketed, plain, asQuoted, asPlain] = name;
+        const first = quoted || bracketed || plain;
+        const id = asPlain || first;
+        const label = asPlain ? first : asQuoted || first;
+        graph.component(id, { name: cleanDesignLabel(label), kind: PLANTUML_KINDS[keyword] });
+        continue;
+      }
+    }
+
+    // Shorthand components: [Name] as Alias, :Actor: as Alias
+    const shorthand = /^(\[[^\]]+\]|:[^:]+:)(?:\s+as\s+(\w+(?:\.\w+)*))?$/.exec(line);
+    if (shorthand) {
+      const name = shorthand[1].slice(1, -1).trim();
+      graph.component(shorthand[2] || name, { name, kind: shorthand[1].startsWith(":") ? "client" : undefined });
+      continue;
+    }
+    if (opensGroup) continue; // e.g. "together {"
+    warnings.push(`line ${index + 1} ignored: ${line.slice(0, 80)}`);
+  }
+  return { graph, warnings };
+}
+
+const DESIGN_TYPE_ALIASES = {
+  database: "datastore", db: "datastore", storage: "datastore", store: "datastore",
+  topic: "queue", stream: "queue", broker: "queue",
+  user: "client", actor: "client", browser: "client",
+  "third-party": "external", thirdparty: "external",
+};
+
+function parseJsonDesign(source) {
+  let design = source;
+  if (typeof source === "string") {
+    try {
+      design = JSON.parse(source);
+    } catch (err) {
+      return { problems: [`not valid JSON: ${err.message}`] };
+    }
+  }
+  const components = design?.components ?? design?.nodes;
+  const edges = design?.edges ?? design?.connections ?? design?.links ?? [];
+  if (!Array.isArray(components)) return { problems: ["components must be an array"] };
+  if (!Array.isArray(edges)) return { problems: ["edges must be an array"] };
+
+  const graph = createDesignGraph();
+  const problems = [];
+  for (const [index, component] of components.entries()) {
+    const id = component?.id;
+    if ((typeof id !== "string" || !id.trim()) && typeof id !== "number") {
+      problems.push(`component ${index} needs an id`);
+      continue;
+    }
+    if (graph.components.has(String(id))) {
+      problems.push(`component ${id} is listed twice`);
+      continue;
+    }
+    const name = typeof (component.name ?? component.label) === "string" ? cleanDesignLabel(component.name ?? component.label) : "";
+    const type = typeof (component.type ?? component.kind) === "string" ? String(component.type ?? component.kind).toLowerCase() : "";
+    const kind = DESIGN_KINDS.includes(type) ? type : DESIGN_TYPE_ALIASES[type] || guessDesignKind(type, name || String(id));
+    graph.component(String(id), { name: name || String(id), kind });
+  }
+  for (const [index, edge] of edges.entries()) {
+    const from = edge?.from ?? edge?.source;
+    const to = edge?.to ?? edge?.target;
+    const missing = [from, to].filter((id) => !graph.components.has(String(id)));
+    if (missing.length > 0) {
+      problems.push(`edge ${index} refers to unknown component${missing.length > 1 ? "s" : ""} ${missing.join(", ")}`);
+      continue;
+    }
+    graph.edge(String(from), String(to), {
+      label: typeof edge.label === "string" ? cleanDesignLabel(edge.label) : "",
+      bidirectional: edge.bidirectional === true,
+    });
+  }
+  return problems.length > 0 ? { problems } : { graph, warnings: [] };
+}
+
+/** Parse and check a submitted design:
+ *   { problems } when it can't be used, otherwise
+ *   { summary: { components, dataStores, flows, unconnected }, edges, warnings }
+ * where flows read "Web App -> API Gateway: HTTPS" ("<->" both ways).
+ */
+function analyzeDesign(format, source) {
+  const parsed = { mermaid: parseMermaidDesign, plantuml: parsePlantUmlDesign, json: parseJsonDesign }[format](source);
+  if (parsed.problems) return { problems: parsed.problems };
+  const { graph, warnings } = parsed;
+
+  // A data store shape named like a cache ("Redis") is a cache
+  const components = [...graph.components.values()].map((c) => {
+    const guessed = guessDesignKind(c.name, c.id);
+    return { ...c, kind: c.kind === "datastore" && guessed === "cache" ? "cache" : c.kind || guessed };
+  });
+  if (components.length === 0) return { problems: ["the diagram has no components"] };
+  if (components.length > MAX_DESIGN_COMPONENTS) return { problems: [`more than ${MAX_DESIGN_COMPONENTS} components`] };
+  if (graph.edges.length > MAX_DESIGN_EDGES) return { problems: [`more than ${MAX_DESIGN_EDGES} connections`] };
+
+  const byId = new Map(components.map((c) => [c.id, c]));
+  const flows = graph.edges.map((e) =>
+    `${byId.get(e.from).name} ${e.bidirectional ? "<->" : "->"} ${byId.get(e.to).name}${e.label ? `: ${e.label}` : ""}`
+  );
+  const connected = new Set(graph.edges.flatMap((e) => [e.from, e.to]));
+  const unconnected = components.filter((c) => !connected.has(c.id)).map((c) => c.name);
+  const dataStores = components
+    .filter((c) => c.kind === "datastore" || c.kind === "cache")
+    .map((c) => (c.kind === "cache" ? `${c.name} (cache)` : c.name));
+
+  if (flows.length === 0) warnings.push("the diagram has no connections between components");
+  if (unconnected.length > 0 && flows.length > 0) warnings.push(`not connected to anything: ${unconnected.join(", ")}`);
+  return { summary: { components, dataStores, flows, unconnected }, edges: graph.edges, warnings };
+}
+
+// The summary as the interviewer and the evaluation read it
+function describeDesign(format, summary) {
+  const formatName = { mermaid: "Mermaid", plantuml: "PlantUML", json: "JSON" }[format];
+  const byKind = DESIGN_KINDS
+    .map((kind) => [kind, summary.components.filter((c) => c.kind === kind).map((c) => c.name)])
+    .filter(([, names]) => names.length > 0)
+    .map(([kind, names]) => `${DESIGN_KIND_NAMES[kind]}: ${names.join(", ")}`);
+  return [
+    `Design diagram (${formatName}) with ${summary.components.length} components - ${byKind.join("; ")}.`,
+    summary.flows.length > 0 ? `Flows: ${summary.flows.join("; ")}.` : "No flows between components.",
+    ...(summary.unconnected.length > 0 && summary.flows.length > 0 ? [`Not connected: ${summary.unconnected.join(", ")}.`] : []),
+  ].join("\n");
+}
+
+// Code results and design summaries are added to the stored transcript while an answer read
+// before them may be on its way. Once the session is generating no more arrive, so the answer
+// takes in the ones it hasn't seen before writing its copy of the state back.
+async function includeSubmissions(sessionId, state) {
+  const stored = normalizeState((await sessionStore.get(sessionId))?.state).transcript;
+  const seen = new Set(state.transcript.map((t) => t.submittedAt).filter(Boolean));
+  state.transcript.push(...stored.filter((t) => t.submittedAt && !seen.has(t.submittedAt)));
+}
+
+/* --------------------- Finishing & time limits --------------------- */
+/** An interview ends with finishInterview: after the last turn, on {type:"stop"}, or when its
+ * time limit runs out. The results go to the socket attached to the session at that moment, if
+ * any, and are stored either way for resume and the REST API.
+ *
+ * Time limits are optional, per interview ({type:"start", timeLimitMinutes}) and per answer
+ * (answerTimeLimitSeconds), with INTERVIEW_TIME_LIMIT_MINUTES / ANSWER_TIME_LIMIT_SECONDS as
+ * defaults (0 = none). The interview clock runs on the server whether or not a socket is
+ * attached, so a booked slot ends on time: {type:"time_warning", scope:"interview", remaining}
+ * at TIME_WARNING_SECONDS before the end, a spoken wrap-up at TIME_WRAP_UP_SECONDS (the answer
+ * after it is the last one), then evaluation. The answer clock is kept per session too but
+ * only runs while a socket is attached, see startAnswerClock.
+ */
+const INTERVIEW_TIME_LIMIT_MINUTES = Number(process.env.INTERVIEW_TIME_LIMIT_MINUTES || 0);
+const ANSWER_TIME_LIMIT_SECONDS = Number(process.env.ANSWER_TIME_LIMIT_SECONDS || 0);
+// Upper bounds, well within what setTimeout can wait (2^31 - 1 ms, about 24.8 days)
+const MAX_INTERVIEW_TIME_LIMIT_MINUTES = 24 * 60;
+const MAX_ANSWER_TIME_LIMIT_SECONDS = 60 * 60;
+const TIME_WARNING_SECONDS = [300, 60];
+const TIME_WRAP_UP_SECONDS = 120;
+const ANSWER_TIME_WARNING_SECONDS = 15;
+const TIME_UP_RETRY_MS = 1000; // time ran out while a reply was being generated: finish right after it
+
+const INTERVIEW_TIMERS = new Map(); // sessionId -> timeouts of the interview clock
+const FINISHING_SESSIONS = new Set(); // sessions being evaluated, so a timer and a stop can't both finish one
+
+function clearInterviewTimers(sessionId) {
+  for (const timer of INTERVIEW_TIMERS.get(sessionId) || []) {
+    clearTimeout(timer);
+  }
+  INTERVIEW_TIMERS.delete(sessionId);
+}
+
+const ANSWER_CLOCKS = new Map(); // sessionId -> timeouts of the answer clock
+const ANSWER_TIME_UP_HANDLERS = new WeakMap(); // ws -> what the socket does when the answer time is up
+
+function clearAnswerClock(sessionId) {
+  for (const timer of ANSWER_CLOCKS.get(sessionId) || []) {
+    clearTimeout(timer);
+  }
+  ANSWER_CLOCKS.delete(sessionId);
+}
+
+// Time to answer the current question (answerTimeLimitSeconds), counted from when it has been
+// sent. Nobody can answer on a dropped connection, so it is cleared when the socket detaches and
+// armed again on resume; its events go to whichever socket is attached when they fire, since a
+// reply started on a replaced socket still arms the clock when it's done.
+function startAnswerClock(sessionId, state) {
+  clearAnswerClock(sessionId);
+  const seconds = state.answerTimeLimitSeconds;
+  if (!seconds || state.done || !LIVE_SOCKETS.has(sessionId)) return;
+  const timers = [];
+  if (seconds > ANSWER_TIME_WARNING_SECONDS * 2) {
+    timers.push(setTimeout(() => {
+      LIVE_SOCKETS.get(sessionId)?.send(JSON.stringify({ type: "time_warning", scope: "answer", remaining: ANSWER_TIME_WARNING_SECONDS }));
+    }, (seconds - ANSWER_TIME_WARNING_SECONDS) * 1000));
+  }
+  timers.push(setTimeout(() => {
+    ANSWER_CLOCKS.delete(sessionId);
+    ANSWER_TIME_UP_HANDLERS.get(LIVE_SOCKETS.get(sessionId))?.(sessionId);
+  }, seconds * 1000));
+  ANSWER_CLOCKS.set(sessionId, timers);
+}
+
+// Whether the interview is in its wrap-up: the next answer is the last one
+function isWrappingUp(state, now = Date.now()) {
+  return state.endsAt !== null && now >= state.endsAt - TIME_WRAP_UP_SECONDS * 1000;
+}
+
+// Evaluates the interview, stores the results and sends them with the spoken summary.
+// Returns false without doing anything if the interview is already finishing or finished.
+async function finishInterview(sessionId, state) {
+  if (FINISHING_SESSIONS.has(sessionId)) return false;
+  FINISHING_SESSIONS.add(sessionId);
+  try {
+    clearInterviewTimers(sessionId);
+    clearAnswerClock(sessionId);
+    const evaluation = await evaluateSession(sessionId, state);
+    state.done = true;
+    state.overallScore = evaluation.overallScore;
+    state.transcript.push({ from: "interviewer", text: evaluation.summaryText });
+    await updateSession(sessionId, { state, phase: PHASE_DONE, evaluation });
+    releaseSessionSlot(sessionId);
+    await flushSessionUsage(sessionId);
+
+    // Looked up only now: the candidate may have resumed on another socket during the evaluation
+    const ws = LIVE_SOCKETS.get(sessionId);
+    if (!ws) return true;
+
+    // OPTIMIZATION: Send evaluation results IMMEDIATELY (don't wait for TTS)
+    // This allows frontend to show results right away while TTS generates in background
+    ws.send(JSON.stringify({
+      type: "done",
+      status: evaluation.status,
+      ...(evaluation.error ? { error: evaluation.error } : {}),
+      summaryText: evaluation.summaryText,
+      overallScore: evaluation.overallScore,
+      rubric: evaluation.rubric,
+      scores: evaluation.scores,
+      timeline: evaluation.timeline,
+      coverage: evaluation.coverage,
+    }));
+
+    // Send final transcript update
+    ws.send(JSON.stringify({
+      type: "transcript_update",
+      transcript: state.transcript,
+    }));
+
+    // Generate TTS in background (non-blocking) - don't await, let it run async
+    const session = await sessionStore.get(sessionId);
+    if (session?.tts !== false) {
+      ttsToWS(ws, evaluation.summaryText, session?.voice, "mp3", state.language || "en")
+        .catch(error => {
+          console.error("TTS generation error (non-critical):", error);
+          // Don't block if TTS fails - evaluation is already sent to frontend
+        })
+        .then(() => flushSessionUsage(sessionId));
+    }
+    return true;
+  } finally {
+    FINISHING_SESSIONS.delete(sessionId);
+  }
+}
+
+// Interview clock events; each reads the session fresh, since it may have ended or moved socket
+async function onInterviewTimeWarning(sessionId, remaining, { wrapUp = false } = {}) {
+  const session = await sessionStore.get(sessionId);
+  // Nothing to warn about once the interview is being evaluated
+  if (!session || session.phase === PHASE_DONE || FINISHING_SESSIONS.has(sessionId)) return;
+  if (normalizeState(session.state).done) return;
+  const ws = LIVE_SOCKETS.get(sessionId);
+  if (!ws) return;
+  const state = normalizeState(session.state);
+  const text = wrapUp ? getLanguage(state.language).wrapUpPrompt : undefined;
+  ws.send(JSON.stringify({ type: "time_warning", scope: "interview", remaining, ...(wrapUp ? { wrapUp, text } : {}) }));
+  // Spoken only while the candidate has the floor - it would cut into a reply being streamed
+  if (wrapUp && session.tts !== false && session.phase === PHASE_AWAITING_ANSWER) {
+    await ttsToWS(ws, text, session.voice, "mp3", state.language);
+  }
+}
+
+async function onInterviewTimeUp(sessionId) {
+  const session = await sessionStore.get(sessionId);
+  const state = normalizeState(session?.state);
+  if (!session || state.done) {
+    clearInterviewTimers(sessionId);
+    return;
+  }
+  if (session.phase === PHASE_GENERATING) {
+    const retry = setTimeout(() => runInterviewTimer(sessionId, () => onInterviewTimeUp(sessionId)), TIME_UP_RETRY_MS);
+    INTERVIEW_TIMERS.set(sessionId, [retry]);
+    return;
+  }
+  console.log(`Session ${sessionId}: interview time is up, evaluating`);
+  await updateSession(sessionId, { phase: PHASE_GENERATING });
+  await finishInterview(sessionId, state);
+}
+
+// Timer callbacks run outside any socket message, so their model calls are attributed here
+function runInterviewTimer(sessionId, callback) {
+  sessionStore.get(sessionId)
+    .then((session) => usageContext.run(
+      { tenant: session?.owner?.tenant ?? DEFAULT_USAGE_TENANT, sessionId: () => sessionId },
+      callback
+    ))
+    .catch((error) => console.error(`Interview timer error for session ${sessionId}:`, error));
+}
+
+// Arms (or re-arms, after a restart) the interview clock; points already passed are skipped
+function scheduleInterviewTimers(sessionId, endsAt) {
+  clearInterviewTimers(sessionId);
+  const now = Date.now();
+  const at = (time, callback) => setTimeout(() => runInterviewTimer(sessionId, callback), Math.max(0, time - now));
+  const timers = TIME_WARNING_SECONDS
+    .filter((seconds) => endsAt - seconds * 1000 > now)
+    .map((seconds) => at(endsAt - seconds * 1000, () => onInterviewTimeWarning(sessionId, seconds)));
+  if (endsAt - TIME_WRAP_UP_SECONDS * 1000 > now) {
+    timers.push(at(endsAt - TIME_WRAP_UP_SECONDS * 1000, () => onInterviewTimeWarning(sessionId, TIME_WRAP_UP_SECONDS, { wrapUp: true })));
+  }
+  timers.push(at(endsAt, () => onInterviewTimeUp(sessionId)));
+  INTERVIEW_TIMERS.set(sessionId, timers);
+}
+
+// Stream interviewer replies into TTS sentence by sentence (STREAM_INTERVIEWER_REPLIES=false
+// restores whole-reply generation with the extra LLM relevance check)
+const STREAM_INTERVIEWER_REPLIES = process.env.STREAM_INTERVIEWER_REPLIES !== "false";
+
+// Length of each rolling segment when live transcription is enabled for a session
+const LIVE_TRANSCRIPTION_SEGMENT_MS = Number(process.env.LIVE_TRANSCRIPTION_SEGMENT_MS || 4000);
+
+// Re-prompts per question when a recorded answer has no usable speech; after that the turn is
+// recorded as unanswered ({ from: "unanswered" }) so the interview can't stall
+const MAX_ANSWER_RETRIES = Number(process.env.MAX_ANSWER_RETRIES ?? 2);
+
+// Transcript text of an unanswered turn, by reason; it is not the candidate's and isn't scored
+const UNANSWERED_TEXTS = {
+  no_audio: "No answer: nothing usable was recorded",
+  no_speech: "No answer: no speech was recognized",
+  save_failed: "No answer: the recording could not be processed",
+  time_limit: "No answer within the time limit",
+};
+
+// Clarifications and repeats per question; further spoken or typed requests are recorded as the
+// answer, and further repeat_last messages are refused
+const MAX_CLARIFICATIONS = 2;
+const MAX_REPEATS = 3;
+
+// Typed answers can carry pasted code in the coding round, but must stay within a sane prompt size
+const MAX_TEXT_ANSWER_CHARS = 20000;
+
+/* --------------------- WS Protocol (voice-only, conversational) ---------------------
+
+Connect with "Authorization: Bearer <token>" or ?access_token=<token> (see Authentication);
+unauthenticated sockets are closed with 4401, reviewer credentials with 4403.
+
+Client -> Server:
+  {type:"start", language, role, level, maxTurns, candidateName?, voice?, tts?, liveTranscription?, questionBankTags?, rubric?}
+    // tts:false = text-only; liveTranscription:true = partial_transcript events while recording
+    // rubric = registered rubric id, overrides the round's rubric
+    // timeLimitMinutes?, answerTimeLimitSeconds? = time limits (0 = none; bad values: invalid_time_limit)
+    // resumeId? = resume uploaded with POST /resumes (unknown or another tenant's: resume_not_found)
+  {type:"resume", sessionId, resumeToken}  // reattach after a dropped connection
+  {type:"answer_audio_start"}
+  (binary audio chunks...)  // WebM, MP4/M4A, WAV or Ogg; at most MAX_ANSWER_AUDIO_BYTES, within ANSWER_UPLOAD_TIME_LIMIT_SECONDS
+  {type:"answer_audio_end"}
+    // errors: audio_too_large, audio_upload_timeout, unsupported_audio_format (the answer is dropped),
+    // unexpected_audio (binary frames outside start/end), unexpected_audio_end
+  {type:"answer_text", text}  // typed answer instead of audio
+  {type:"code_submission", language, source}  // current coding problem, run against its hidden tests (no turn used)
+  {type:"design_submission", format, source}  // mermaid | plantuml | json diagram, in design rounds (no turn used)
+  {type:"repeat_last"}  // replay the last interviewer reply (cached audio, no turn used)
+    // error: repeat_limit_reached (MAX_REPEATS per question, asked-for repeats included)
+  {type:"stop"}  // optional manual stop/eval early
+
+Server -> Client:
+  {type:"session", sessionId, resumeToken, endsAt}  // endsAt: ISO time the interview runs out, or null
+  {type:"resumed", sessionId, status}  // status: "awaiting_answer" | "generating" | "done"
+  {type:"persona", text}          // optional (for logs)
+  {type:"partial_transcript", text}  // live transcription of the answer so far (not committed)
+  {type:"utterance_start", replyId, index, text, format}  // precedes the audio of one utterance
+  (binary) TTS chunks (greeting / interviewer turns / final summary)
+  {type:"utterance_end", replyId, index}
+  {type:"tts_done", format}       // after the last utterance of a reply
+  {type:"repeated", text}         // repeat_last, or the candidate asked for it; the audio follows
+  {type:"clarification", text}    // the candidate asked what the question means; spoken, no turn used
+  {type:"retry_answer", reason, text, retriesLeft}  // answer had no usable speech, record it again (text is spoken)
+  {type:"code_result", problemId, language, status, passed, total, tests, error?}  // per-test pass/fail, no test data
+  {type:"design_result", format, summary, warnings}  // components, dataStores, flows, unconnected
+  {type:"time_warning", scope, remaining, wrapUp?, text?}  // scope "interview" | "answer", remaining seconds; wrap-up text is spoken
+  {type:"done", status, summaryText, overallScore, rubric, scores, timeline} // overallScore 0-100, scores = weighted breakdown
+    // timeline = per-answer assessments [{ index, question, answerExcerpt, relevance, correctness, depth, notes }]
+    // coverage = transcript entries evaluated verbatim / from summaries / omitted, with a note
+    // status "evaluation_failed" (with error): no usable rubric, overallScore/rubric/scores are null
+-------------------------------------------------------------------- */
+
+wss.on("connection", (ws, req) => {
+  const { auth, error: authError, problem: authProblem } = req.authResult;
+  if (!auth) {
+    console.warn(`WebSocket closed: ${authProblem}`);
+    ws.close(WS_CLOSE_UNAUTHORIZED, authError);
+    return;
+  }
+  if (auth.role === "reviewer") {
+    console.warn(`WebSocket closed: role ${auth.role} can't run interviews`);
+    ws.close(WS_CLOSE_FORBIDDEN, "forbidden");
+    return;
+  }
+
+  let sessionId = null;
+  let audioChunks = [];
+  let voiceChoice = "alloy";
+  let audioFormat = "webm"; // container detected from the recording's magic bytes
+  let recording = null; // answer between answer_audio_start and answer_audio_end, see startRecording
+  // Code or design submission being handled; answers wait for it so its result enters the
+  // transcript first
+  let submissionRun = null;
+  let strayAudioReported = false; // binary frames outside a recording get one error, not one per frame
+  let ttsEnabled = true; // false for text-only interviews ({type:"start", tts:false})
+  let liveTranscription = false; // {type:"start", liveTranscription:true} → partial_transcript events
+  let liveTranscriber = null; // rolling transcription of the answer being recorded
+
+  // Socket the session is currently attached to. After a resume, in-flight work started on
+  // this connection (reply generation, evaluation, TTS) must reach the new socket instead
+  // of the dropped one.
+  const client = () => (sessionId && LIVE_SOCKETS.get(sessionId)) || ws;
+
+  // Provider calls made while handling this socket's messages are billed to its tenant and session
+  const usageScope = { tenant: auth.tenant ?? DEFAULT_USAGE_TENANT, sessionId: () => sessionId };
+  const quotaKey = quotaClientKey(auth, req);
+
+  const sendQuotaExceeded = ({ quota, retryAfter }) => {
+    console.warn(`Quota ${quota} exceeded for ${quotaKey}${retryAfter !== null ? `, retry in ${retryAfter}s` : ""}`);
+    client().send(JSON.stringify({ type: "error", error: "quota_exceeded", quota, retryAfter }));
+  };
+  
+  // Log connection for debugging
+  console.log(`WebSocket connection opened. NODE_ENV: ${process.env.NODE_ENV || 'development'}`);
+  
+  // Initialize connection as alive for keepalive mechanism (only needed in production)
+  // IMPORTANT: Only set isAlive if ping interval is actually running
+  if (isProduction && pingInterval) {
+    ws.isAlive = true;
+    
+    // Handle pong response to keep connection alive
+    ws.on('pong', () => {
+      ws.isAlive = true;
+      // Log pong for debugging (can be removed in production if too verbose)
+      if (process.env.DEBUG_WEBSOCKET === 'true') {
+        console.log(`[${new Date().toISOString()}] Received pong from WebSocket client`);
+      }
+    });
+  }
+  
+  // Interviewer speech - a no-op in text-only interviews
+  const speak = (text, language = "en") =>
+    ttsEnabled ? ttsToWS(client(), text, voiceChoice, "mp3", language) : Promise.resolve();
+
+  // One recorded answer is bounded in bytes and in upload time since answer_audio_start, and its
+  // container is checked on the first bytes. A rejected recording drops its remaining frames
+  // silently until answer_audio_end.
+  const maxUploadMs = ANSWER_UPLOAD_TIME_LIMIT_SECONDS * 1000 + AUDIO_UPLOAD_GRACE_MS;
+
+  const discardRecording = () => {
+    if (recording) clearTimeout(recording.timer);
+    recording = null;
+    audioChunks = [];
+    liveTranscriber = null;
+  };
+
+  const rejectRecording = (error, details) => {
+    console.warn(`Answer audio rejected: ${error}`);
+    clearTimeout(recording.timer);
+    recording.rejected = true;
+    audioChunks = [];
+    liveTranscriber = null;
+    client().send(JSON.stringify({ type: "error", error, ...details }));
+  };
+
+  const startRecording = (declaredFormat) => {
+    discardRecording();
+    strayAudioReported = false;
+    const current = {
+      startedAt: Date.now(),
+      bytes: 0,
+      container: null,
+      declaredFormat,
+      language: null, // whisper code, known once the session is read
+      rejected: false,
+      // Also ends recordings whose answer_audio_end never comes, so they can't hold memory
+      timer: setTimeout(() => {
+        if (recording === current && !current.rejected) {
+          rejectRecording("audio_upload_timeout", { maxSeconds: ANSWER_UPLOAD_TIME_LIMIT_SECONDS });
+        }
+      }, maxUploadMs),
+    };
+    recording = current;
+  };
+
+  // Needs both the container and the language; gets the chunks received before it existed
+  const startLiveTranscriber = () => {
+    if (!liveTranscription || liveTranscriber || !recording?.container || !recording.language) return;
+    liveTranscriber = createLiveTranscriber({
+      format: recording.container,
+      language: recording.language,
+      onPartial: (text) => client().send(JSON.stringify({ type: "partial_transcript", text })),
+    });
+    audioChunks.forEach((chunk) => liveTranscriber.push(chunk));
+  };
+
+  const receiveAudio = (chunk) => {
+    if (!recording) {
+      if (!strayAudioReported) {
+        strayAudioReported = true;
+        console.warn("Binary frame received outside answer_audio_start/answer_audio_end");
+        client().send(JSON.stringify({ type: "error", error: "unexpected_audio" }));
+      }
+      return;
+    }
+    if (recording.rejected) return;
+    if (recording.bytes + chunk.length > MAX_ANSWER_AUDIO_BYTES) {
+      rejectRecording("audio_too_large", { maxBytes: MAX_ANSWER_AUDIO_BYTES });
+      return;
+    }
+    if (Date.now() - recording.startedAt > maxUploadMs) {
+      rejectRecording("audio_upload_timeout", { maxSeconds: ANSWER_UPLOAD_TIME_LIMIT_SECONDS });
+      return;
+    }
+    audioChunks.push(chunk);
+    recording.bytes += chunk.length;
+
+    if (recording.container) {
+      liveTranscriber?.push(chunk);
+      return;
+    }
+    if (recording.bytes < AUDIO_SNIFF_BYTES) return;
+    const container = detectAudioContainer(Buffer.concat(audioChunks).subarray(0, AUDIO_SNIFF_BYTES));
+    if (!container) {
+      rejectRecording("unsupported_audio_format", { supportedFormats: AUDIO_CONTAINERS });
+      return;
+    }
+    if (recording.declaredFormat && recording.declaredFormat !== container) {
+      console.log(`Client declared audio format ${recording.declaredFormat}, recording is ${container}`);
+    }
+    recording.container = container;
+    audioFormat = container;
+    startLiveTranscriber();
+  };
+
+  // The answer clock (see startAnswerClock) ends an answer on the socket attached at the time
+  ANSWER_TIME_UP_HANDLERS.set(ws, (clockSessionId) => {
+    usageContext.run(usageScope, () => onAnswerTimeUp(clockSessionId))
+      .catch((error) => console.error("Error ending an answer at its time limit:", error));
+  });
+
+  // Answers are taken one at a time: moves the session to PHASE_GENERATING in one serialized
+  // update unless a reply is already being generated or the interview is over or being evaluated.
+  // Resolves to the session's current state, or null when the answer can't be taken.
+  async function claimAnswer() {
+    let state = null;
+    await updateSession(sessionId, (record) => {
+      if (!record.state || record.phase === PHASE_GENERATING || FINISHING_SESSIONS.has(sessionId)) return null;
+      const current = normalizeState(record.state);
+      if (current.done) return null;
+      state = current;
+      return { phase: PHASE_GENERATING };
+    });
+    return state;
+  }
+
+  // Out of time: a recording in progress is cut and taken as the answer; with no answer at all
+  // the turn is recorded as unanswered and the interview moves on
+  async function onAnswerTimeUp(clockSessionId) {
+    if (sessionId !== clockSessionId) return;
+    await submissionRun;
+    const session = await sessionStore.get(sessionId);
+    if (!session || session.phase !== PHASE_AWAITING_ANSWER) return;
+    const state = normalizeState(session.state);
+    if (state.done) return;
+    console.log(`Session ${sessionId}: answer time is up`);
+    client().send(JSON.stringify({ type: "time_warning", scope: "answer", remaining: 0 }));
+    if (recording) {
+      await handleAudioEnd();
+      return;
+    }
+    const claimed = await claimAnswer();
+    if (!claimed) return;
+    await recordUnanswered(claimed, "time_limit");
+  }
+
+  // Code for the current coding problem → hidden tests → code_result and a transcript entry.
+  // Not an answer: no turn is used and the interviewer reacts to it with the next answer.
+  async function handleCodeSubmission(msg) {
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      client().send(JSON.stringify({ type: "error", error: "session_not_found" }));
+      return;
+    }
+    const state = normalizeState(session.state);
+    if (state.done) {
+      return;
+    }
+    // The reply being generated would overwrite the transcript entry
+    if (session.phase === PHASE_GENERATING) {
+      client().send(JSON.stringify({ type: "error", error: "not_awaiting_answer" }));
+      return;
+    }
+    if (!CODE_SANDBOX.enabled) {
+      client().send(JSON.stringify({ type: "error", error: "code_execution_unavailable" }));
+      return;
+    }
+    const problem = currentCodingProblem(state);
+    if (!problem) {
+      client().send(JSON.stringify({ type: "error", error: "no_coding_problem" }));
+      return;
+    }
+    const supportedLanguages = CODE_SANDBOX.languages.filter((language) => typeof problem.function === "string" || problem.function[language]);
+    const language = typeof msg.language === "string" ? msg.language.toLowerCase() : "";
+    if (!supportedLanguages.includes(language)) {
+      client().send(JSON.stringify({ type: "error", error: "unsupported_code_language", supportedLanguages }));
+      return;
+    }
+    const source = typeof msg.source === "string" ? msg.source : "";
+    if (!source.trim()) {
+      client().send(JSON.stringify({ type: "error", error: "empty_code" }));
+      return;
+    }
+    if (source.length > MAX_CODE_SOURCE_CHARS) {
+      client().send(JSON.stringify({ type: "error", error: "code_too_long", maxLength: MAX_CODE_SOURCE_CHARS }));
+      return;
+    }
+
+    console.log(`Code submission for ${problem.id} (${language}, ${source.length} chars)`);
+    const result = await runCodeSubmission(problem, language, source);
+    const entry = {
+      from: "code",
+      text: describeCodeResult(problem.id, language, result),
+      problemId: problem.id,
+      language,
+      status: result.status,
+      passed: result.passed,
+      total: result.total,
+      source,
+      submittedAt: new Date().toISOString(),
+    };
+    let transcript = null;
+    await updateSession(sessionId, (record) => {
+      // Finished or finishing (e.g. time ran out) while the code was running
+      if (!record.state || record.state.done || record.phase === PHASE_GENERATING) return null;
+      transcript = [...(record.state.transcript || []), entry];
+      return { state: { ...record.state, transcript } };
+    });
+    client().send(JSON.stringify({ type: "code_result", problemId: problem.id, language, ...result }));
+    if (transcript) {
+      client().send(JSON.stringify({ type: "transcript_update", transcript }));
+    }
+  }
+
+  // A diagram of the candidate's design → design_result and a transcript entry the interviewer's
+  // follow-ups build on. Not an answer: no turn is used.
+  async function handleDesignSubmission(msg) {
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      client().send(JSON.stringify({ type: "error", error: "session_not_found" }));
+      return;
+    }
+    const state = normalizeState(session.state);
+    if (state.done) {
+      return;
+    }
+    // The reply being generated would overwrite the transcript entry
+    if (session.phase === PHASE_GENERATING) {
+      client().send(JSON.stringify({ type: "error", error: "not_awaiting_answer" }));
+      return;
+    }
+    if (!getRound(state.selectedRound)?.designSubmissions) {
+      client().send(JSON.stringify({ type: "error", error: "design_not_accepted" }));
+      return;
+    }
+    const format = typeof msg.format === "string" ? msg.format.toLowerCase() : "";
+    if (!DESIGN_FORMATS.includes(format)) {
+      client().send(JSON.stringify({ type: "error", error: "unsupported_design_format", supportedFormats: DESIGN_FORMATS }));
+      return;
+    }
+    // JSON graphs may also be sent as an object
+    const source = format === "json" && msg.source && typeof msg.source === "object"
+      ? JSON.stringify(msg.source, null, 2)
+      : typeof msg.source === "string" ? msg.source : "";
+    if (!source.trim()) {
+      client().send(JSON.stringify({ type: "error", error: "empty_design" }));
+      return;
+    }
+    if (source.length > MAX_DESIGN_SOURCE_CHARS) {
+      client().send(JSON.stringify({ type: "error", error: "design_too_long", maxLength: MAX_DESIGN_SOURCE_CHARS }));
+      return;
+    }
+    const analysis = analyzeDesign(format, source);
+    if (analysis.problems) {
+      client().send(JSON.stringify({ type: "error", error: "invalid_design", problems: analysis.problems }));
+      return;
+    }
+
+    const { summary, warnings } = analysis;
+    console.log(`Design submission (${format}): ${summary.components.length} components, ${summary.flows.length} flows`);
+    const entry = {
+      from: "design",
+      text: describeDesign(format, summary),
+      format,
+      summary,
+      source,
+      submittedAt: new Date().toISOString(),
+    };
+    let transcript = null;
+    await updateSession(sessionId, (record) => {
+      // An answer sent just before the diagram started the next reply meanwhile
+      if (!record.state || record.state.done || record.phase === PHASE_GENERATING) return null;
+      transcript = [...(record.state.transcript || []), entry];
+      return { state: { ...record.state, transcript } };
+    });
+    if (!transcript) {
+      client().send(JSON.stringify({ type: "error", error: "not_awaiting_answer" }));
+      return;
+    }
+    client().send(JSON.stringify({ type: "design_result", format, summary, warnings }));
+    client().send(JSON.stringify({ type: "transcript_update", transcript }));
+  }
+
+  // Several utterances as one reply; audio already synthesized comes from the TTS cache
+  async function speakUtterances(texts, language) {
+    if (!ttsEnabled) return;
+    const utterances = createUtteranceStream(client, voiceChoice, "mp3", language);
+    texts.forEach((text) => utterances.push(text));
+    await utterances.finish();
+  }
+
+  // Replay the last interviewer reply, sentence by sentence as it was spoken. The answer clock
+  // starts over once it has been heard again
+  async function repeatLastUtterance(state) {
+    const session = await sessionStore.get(sessionId);
+    const lastQuestion = [...state.transcript].reverse().find((t) => t.from === "interviewer")?.text;
+    const texts = session?.lastUtterances?.length ? session.lastUtterances : [lastQuestion].filter(Boolean);
+    if (texts.length > 0) state.repeats += 1;
+    // Only the counter: a submission may have entered the stored transcript meanwhile
+    await updateSession(sessionId, (record) => record.state && {
+      state: { ...record.state, repeats: state.repeats },
+      phase: PHASE_AWAITING_ANSWER,
+    });
+    if (texts.length === 0) return;
+    console.log(`Repeating the last interviewer reply (${texts.length} utterance(s))`);
+    clearAnswerClock(sessionId);
+    client().send(JSON.stringify({ type: "repeated", text: texts.join(" ") }));
+    await speakUtterances(texts, state.language);
+    startAnswerClock(sessionId, state);
+  }
+
+  // Explain the last question on request - neither the request nor the explanation is an
+  // answer or a turn, so they stay out of the transcript
+  async function clarifyQuestion(state, question, request) {
+    const text = await generateClarification(state, question, request);
+    state.clarifications += 1;
+    await updateSession(sessionId, { state, phase: PHASE_AWAITING_ANSWER, lastUtterances: [text] });
+    console.log(`Clarified the question (${state.clarifications}/${MAX_CLARIFICATIONS})`);
+    client().send(JSON.stringify({ type: "clarification", text }));
+    await speak(text, state.language);
+    startAnswerClock(sessionId, state);
+  }
+
+  // A recorded answer had no usable speech (reason: "no_audio" | "too_short" | "silence" |
+  // "no_speech" | "save_failed"): ask for it again without recording an answer or using up a turn.
+  // Returns false once MAX_ANSWER_RETRIES re-prompts were spent on the current question.
+  async function retryAnswer(state, reason) {
+    if (state.answerRetries >= MAX_ANSWER_RETRIES) {
+      console.warn(`No usable answer (${reason}) after ${state.answerRetries} re-prompt(s)`);
+      return false;
+    }
+    state.answerRetries += 1;
+    // Only the counter: a submission may have entered the stored transcript meanwhile
+    await updateSession(sessionId, (record) => record.state && {
+      state: { ...record.state, answerRetries: state.answerRetries },
+      phase: PHASE_AWAITING_ANSWER,
+    });
+    console.log(`No usable answer (${reason}), re-prompt ${state.answerRetries}/${MAX_ANSWER_RETRIES}`);
+
+    const text = getLanguage(state.language).repeatPrompt;
+    client().send(JSON.stringify({
+      type: "retry_answer",
+      reason,
+      text,
+      retriesLeft: MAX_ANSWER_RETRIES - state.answerRetries,
+    }));
+    await speak(text, state.language);
+    startAnswerClock(sessionId, state);
+    return true;
+  }
+
+  // Writes a turn's fields unless the interview was finished meanwhile (stop or the time limit),
+  // so a reply completing late can't overwrite the evaluated session. False when skipped.
+  async function saveTurn(fields) {
+    let saved = false;
+    await updateSession(sessionId, (record) => {
+      if (!record.state || normalizeState(record.state).done || FINISHING_SESSIONS.has(sessionId)) return null;
+      saved = true;
+      return fields;
+    });
+    return saved;
+  }
+
+  // Shared by voice and typed answers: record the candidate's answer, then either continue
+  // the conversation or evaluate once the last turn is reached
+  async function handleCandidateAnswer(state, answerText) {
+    await includeSubmissions(sessionId, state);
+    const question = [...state.transcript].reverse().find((t) => t.from === "interviewer")?.text;
+
+    // Asking to hear the question again, or what it means, isn't an answer and costs no turn.
+    // Once neither is left for this question, the answer isn't classified at all.
+    const canRepeat = state.repeats < MAX_REPEATS;
+    const canClarify = state.clarifications < MAX_CLARIFICATIONS;
+    if (question && (canRepeat || canClarify)) {
+      const intent = await classifyAnswerIntent(question, answerText, getLanguage(state.language).name);
+      if (intent === "repeat" && canRepeat) {
+        await repeatLastUtterance(state);
+        return;
+      }
+      if (intent === "clarify" && canClarify) {
+        await clarifyQuestion(state, question, answerText);
+        return;
+      }
+    }
+
+    await completeTurn(state, { from: "candidate", text: answerText }, question);
+  }
+
+  // No usable answer after the re-prompts (reason: a key of UNANSWERED_TEXTS): the turn is used
+  // up so the interview moves on, but there is no candidate text and nothing to score
+  async function recordUnanswered(state, reason) {
+    console.warn(`Recording the turn as unanswered (${reason})`);
+    await includeSubmissions(sessionId, state);
+    await completeTurn(state, { from: "unanswered", reason, text: UNANSWERED_TEXTS[reason] }, null);
+  }
+
+  // Adds the turn's entry, then replies or evaluates. question: the question a candidate answer
+  // is assessed against, null to skip the assessment
+  async function completeTurn(state, entry, question) {
+    // The answer's transcription and the previous reply are accounted for in one write
+    flushSessionUsage(sessionId);
+    state.transcript.push(entry);
+    state.answerRetries = 0;
+    state.clarifications = 0;
+    state.repeats = 0;
+    // Send transcript update to frontend so UI can display user's answer
+    client().send(JSON.stringify({
+      type: "transcript_update",
+      transcript: state.transcript,
+    }));
+
+    // Persist the candidate's answer before generating the reply. Skipped if a "stop" (or the
+    // interview time limit) finished the interview while we were transcribing the audio -
+    // evaluation has started, so no question is generated
+    if (!(await saveTurn({ state }))) {
+      return;
+    }
+
+    if (ANSWER_ASSESSMENTS_ENABLED && question) {
+      startAnswerAssessment(sessionId, state, {
+        index: state.transcript.filter((t) => t.from === "candidate").length,
+        question,
+        answer: entry.text,
+      });
+    }
+
+    // If we still have interviewer turns left, respond conversationally
+    // BUT: Check if interview is done/stopped first - don't generate question if evaluation is starting
+    // In the wrap-up of a time-limited interview this answer was the last one
+    if (state.turns < state.maxTurns - 1 && !state.done && !isWrappingUp(state)) {
+      const currentLanguage = state.language || "en";
+      // Speak the reply sentence by sentence while it is generated instead of after the whole text
+      const utterances = ttsEnabled && STREAM_INTERVIEWER_REPLIES
+        ? createUtteranceStream(client, voiceChoice, "mp3", currentLanguage)
+        : null;
+      const bankQuestion = nextBankQuestion(state);
+      const spokenSentences = []; // kept so {type:"repeat_last"} replays the same cached audio
+      const reply = await generateInterviewerTurn(state, {
+        bankQuestion,
+        ...(utterances ? {
+          onSentence: (sentence) => {
+            spokenSentences.push(sentence);
+            utterances.push(sentence);
+          },
+        } : {}),
+      });
+      state.transcript.push({ from: "interviewer", text: reply });
+      if (bankQuestion) {
+        // Record which bank question was asked, and when
+        state.questionPlan = state.questionPlan.slice(1);
+        state.askedQuestions.push({ ...bankQuestion, turn: state.turns + 1, askedAt: new Date().toISOString() });
+        state.followUpsSinceQuestion = 0;
+      } else {
+        state.followUpsSinceQuestion += 1;
+      }
+      state.turns += 1;
+      const saved = await saveTurn({
+        state,
+        phase: PHASE_AWAITING_ANSWER,
+        lastUtterances: spokenSentences.length > 0 ? spokenSentences : [reply],
+      });
+      if (!saved) {
+        // Stopped while the reply was generated; the evaluation takes over
+        return;
+      }
+
+      // Send transcript update with interviewer's question
+      client().send(JSON.stringify({
+        type: "transcript_update",
+        transcript: state.transcript,
+      }));
+
+      if (utterances) {
+        await utterances.finish();
+        startAnswerClock(sessionId, state);
+        return;
+      }
+
+      console.log("=== SENDING INTERVIEWER REPLY TO TTS ===");
+      console.log({
+        language: currentLanguage,
+        textPreview: reply.substring(0, 200) + (reply.length > 200 ? "..." : ""),
+      });
+      await speak(reply, currentLanguage);
+      startAnswerClock(sessionId, state);
+      return;
+    }
+
+    // Last turn reached (or the time is up) → evaluate
+    await finishInterview(sessionId, state);
+  }
+
+  // END audio → transcribe → push candidate msg → continue or evaluate. Also ends a
+  // recording cut off by the answer time limit.
+  async function handleAudioEnd() {
+    const finished = recording;
+    if (!finished) {
+      client().send(JSON.stringify({ type: "error", error: "unexpected_audio_end" }));
+      return;
+    }
+    clearTimeout(finished.timer);
+    recording = null;
+    // Rejected while recording - the client already got the error
+    if (finished.rejected) {
+      return;
+    }
+    // Take the live transcriber before any await so the answer is committed exactly once
+    const transcriber = liveTranscriber;
+    liveTranscriber = null;
+
+    await submissionRun;
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      client().send(JSON.stringify({ type: "error", error: "session_not_found" }));
+      return;
+    }
+    
+    // If interview is already done/stopped, don't process audio
+    if (normalizeState(session.state).done) {
+      return;
+    }
+    // Another answer's reply is still being generated
+    const state = await claimAnswer();
+    if (!state) {
+      audioChunks = [];
+      client().send(JSON.stringify({ type: "error", error: "not_awaiting_answer" }));
+      return;
+    }
+
+    // Check if we received any audio chunks
+    if (audioChunks.length === 0) {
+      console.warn("No audio chunks received for transcription");
+      if (await retryAnswer(state, "no_audio")) {
+        return;
+      }
+      await recordUnanswered(state, "no_audio");
+      return;
+    }
+    // Too short to even tell the container
+    if (!finished.container) {
+      audioChunks = [];
+      console.warn("Recorded answer is too short to tell its container");
+      if (!(await retryAnswer(state, "too_short"))) {
+        await recordUnanswered(state, "no_audio");
+      }
+      return;
+    }
+    // Silent or too short to be an answer - don't pay for a Whisper call that can't help
+    const unusable = unusableAudioReason(Buffer.concat(audioChunks), finished.container);
+    if (unusable) {
+      console.warn(`Recorded answer is unusable: ${unusable}`);
+      if (await retryAnswer(state, unusable)) {
+        audioChunks = [];
+        return;
+      }
+    }
+
+    const overBudget = await checkMonthlyBudget(usageScope.tenant);
+    if (overBudget) {
+      audioChunks = [];
+      await updateSession(sessionId, { phase: PHASE_AWAITING_ANSWER });
+      sendQuotaExceeded(overBudget);
+      return;
+    }
 
-Client -> Server:
-  {type:"start", language, role, level, maxTurns, candidateName?, voice?}
-  {type:"answer_audio_start"}
-  (binary audio chunks...)
-  {type:"answer_audio_end"}
-  {type:"stop"}  // optional manual stop/eval early
+    const audioBuffer = Buffer.concat(audioChunks);
+    console.log(`Received ${audioChunks.length} audio chunks, total size: ${audioBuffer.length} bytes, format: ${audioFormat}`);
+    
+    await includeSubmissions(sessionId, state);
 
-Server -> Client:
-  {type:"session", sessionId}
-  {type:"persona", text}          // optional (for logs)
-  (binary) TTS chunks (greeting / interviewer turns / final summary)
-  {type:"tts_done", format}
-  {type:"done", summaryText, overallScore, rubric} // optional to display
--------------------------------------------------------------------- */
+    // With live transcription only the last segment is left to transcribe. finish() returns
+    // null if a segment failed, in which case the whole answer is transcribed below.
+    let transcriptText = transcriber ? await transcriber.finish() : null;
 
-wss.on("connection", (ws) => {
-  let sessionId = null;
-  let audioChunks = [];
-  let voiceChoice = "alloy";
-  let audioFormat = "webm"; // Default format, will be updated from client
-  
-  // Log connection for debugging
-  console.log(`WebSocket connection opened. NODE_ENV: ${process.env.NODE_ENV || 'development'}`);
-  
-  // Initialize connection as alive for keepalive mechanism (only needed in production)
-  // IMPORTANT: Only set isAlive if ping interval is actually running
-  if (isProduction && pingInterval) {
-    ws.isAlive = true;
-    
-    // Handle pong response to keep connection alive
-    ws.on('pong', () => {
-      ws.isAlive = true;
-      // Log pong for debugging (can be removed in production if too verbose)
-      if (process.env.DEBUG_WEBSOCKET === 'true') {
-        console.log(`[${new Date().toISOString()}] Received pong from WebSocket client`);
+    if (transcriptText !== null) {
+      console.log("Live transcription result:", transcriptText || "(empty)");
+    } else {
+      try {
+        console.log("Starting transcription with Whisper...");
+        transcriptText = await transcribeAudio(audioBuffer, {
+          format: audioFormat,
+          language: getLanguage(state.language).whisperCode,
+        });
+        console.log("Transcription result:", transcriptText || "(empty)");
+      } catch (e) {
+        if (e.audioSaveFailed) {
+          console.error("Error writing audio file:", e);
+          if (!(await retryAnswer(state, "save_failed"))) {
+            await recordUnanswered(state, "save_failed");
+          }
+          return;
+        }
+        console.error("STT error:", e.message || e);
+        console.error("Error details:", {
+          code: e.code,
+          status: e.status,
+          type: e.type,
+          message: e.message
+        });
+        transcriptText = "";
       }
-    });
+    }
+
+    if (!transcriptText) {
+      console.warn("No transcription text received");
+      if (!(await retryAnswer(state, "no_speech"))) {
+        await recordUnanswered(state, "no_speech");
+      }
+      return;
+    }
+    await handleCandidateAnswer(state, transcriptText);
   }
-  
+
   // Handle connection errors
   ws.on('error', (error) => {
     console.error('WebSocket error:', error);
@@ -1039,12 +5348,19 @@ wss.on("connection", (ws) => {
   // Handle connection close
   ws.on('close', (code, reason) => {
     console.log(`WebSocket connection closed. Code: ${code}, Reason: ${reason?.toString() || 'none'}`);
+    discardRecording();
+    // Detach the session but keep its state so the candidate can resume on a new socket
+    if (sessionId && LIVE_SOCKETS.get(sessionId) === ws) {
+      LIVE_SOCKETS.delete(sessionId);
+      clearAnswerClock(sessionId);
+      releaseSessionSlot(sessionId);
+    }
   });
 
-  ws.on("message", async (data, isBinary) => {
+  ws.on("message", (data, isBinary) => usageContext.run(usageScope, async () => {
     try {
       if (isBinary) {
-        audioChunks.push(Buffer.from(data));
+        receiveAudio(Buffer.from(data));
         return;
       }
 
@@ -1058,8 +5374,115 @@ wss.on("connection", (ws) => {
 
       // START
       if (msg.type === "start") {
-        sessionId = uuidv4();
-        voiceChoice = msg.voice ?? "alloy";
+        // Reject unknown languages and rounds before any model call is made. Without a choice
+        // from the client, the first round / language the credential permits is used.
+        const requestedRound = typeof msg.selectedRound === "string" && msg.selectedRound.trim() !== ""
+          ? msg.selectedRound.trim()
+          : auth.interview.rounds?.[0] ?? DEFAULT_ROUND_ID;
+        const requestedLanguage = typeof msg.language === "string" && msg.language.trim() !== ""
+          ? msg.language.trim()
+          : auth.interview.languages?.[0] ?? DEFAULT_LANGUAGE;
+        if (!isSupportedLanguage(requestedLanguage)) {
+          console.warn(`Rejected start with unsupported language: ${requestedLanguage}`);
+          ws.send(JSON.stringify({
+            type: "error",
+            error: "unsupported_language",
+            message: `Unsupported interview language "${requestedLanguage}"`,
+            supportedLanguages: Object.keys(LANGUAGES),
+          }));
+          return;
+        }
+        const round = getRound(requestedRound);
+        if (!round) {
+          console.warn(`Rejected start with unknown round: ${requestedRound}`);
+          ws.send(JSON.stringify({
+            type: "error",
+            error: "unknown_round",
+            message: `Unknown interview round "${requestedRound}"`,
+            supportedRounds: [...ROUNDS.keys()],
+          }));
+          return;
+        }
+        // An interview template can score with another registered rubric than the round's
+        const rubric = msg.rubric === undefined || msg.rubric === null || msg.rubric === ""
+          ? round.rubric
+          : getRubric(String(msg.rubric).trim());
+        if (!rubric) {
+          console.warn(`Rejected start with unknown rubric: ${msg.rubric}`);
+          ws.send(JSON.stringify({
+            type: "error",
+            error: "unknown_rubric",
+            message: `Unknown rubric "${msg.rubric}"`,
+            supportedRubrics: [...RUBRICS.keys()],
+          }));
+          return;
+        }
+        // A resume uploaded with POST /resumes; another tenant's (or candidate's) looks the same as a missing one
+        let resumeProfile;
+        if (msg.resumeId !== undefined && msg.resumeId !== null && msg.resumeId !== "") {
+          const resume = await resumeStore.get(String(msg.resumeId));
+          if (!resume || !canAccessSession(auth, resume)) {
+            console.warn(`Rejected start with unknown resume: ${msg.resumeId}`);
+            ws.send(JSON.stringify({ type: "error", error: "resume_not_found" }));
+            return;
+          }
+          resumeProfile = resume.profile;
+        }
+        const maxTurns = msg.maxTurns !== undefined && msg.maxTurns !== null
+          ? (typeof msg.maxTurns === "number" || typeof msg.maxTurns === "string" ? Number(msg.maxTurns) : NaN)
+          : Math.min(round.defaultTurns, auth.interview.maxTurns ?? Infinity);
+        if (!(Number.isInteger(maxTurns) && maxTurns >= 1 && maxTurns <= MAX_TURNS_LIMIT)) {
+          console.warn(`Rejected start with invalid maxTurns: ${msg.maxTurns}`);
+          ws.send(JSON.stringify({ type: "error", error: "invalid_max_turns", maxTurnsLimit: MAX_TURNS_LIMIT }));
+          return;
+        }
+        const forbidden = checkInterviewPermissions(auth, { round: round.id, language: requestedLanguage, maxTurns });
+        if (forbidden) {
+          console.warn(`Rejected start for tenant ${auth.tenant}: ${forbidden}`);
+          ws.send(JSON.stringify({ type: "error", error: "forbidden_config", message: forbidden }));
+          return;
+        }
+        // Time limits: 0 turns a default off
+        const timeLimits = [
+          [Number(msg.timeLimitMinutes ?? INTERVIEW_TIME_LIMIT_MINUTES), MAX_INTERVIEW_TIME_LIMIT_MINUTES],
+          [Number(msg.answerTimeLimitSeconds ?? ANSWER_TIME_LIMIT_SECONDS), MAX_ANSWER_TIME_LIMIT_SECONDS],
+        ];
+        if (timeLimits.some(([limit, max]) => !(limit >= 0 && limit <= max))) {
+          ws.send(JSON.stringify({ type: "error", error: "invalid_time_limit" }));
+          return;
+        }
+        const [timeLimitMinutes, answerTimeLimitSeconds] = timeLimits.map(([limit]) => limit || null);
+
+        // Quotas before anything that costs: persona, greeting and TTS follow
+        const overBudget = await checkMonthlyBudget(usageScope.tenant);
+        if (overBudget) {
+          sendQuotaExceeded(overBudget);
+          return;
+        }
+        // A socket drives one interview at a time; starting another detaches the previous one,
+        // whose slot is freed first so it doesn't count against the new one, and given back
+        // if the new one can't start
+        const previousSessionId = sessionId && LIVE_SOCKETS.get(sessionId) === ws ? sessionId : null;
+        const previousSlot = previousSessionId && SESSION_SLOTS.get(previousSessionId);
+        if (previousSessionId) releaseSessionSlot(previousSessionId);
+        const newSessionId = uuidv4();
+        const overLimit = reserveSessionSlot(quotaKey, newSessionId);
+        if (overLimit) {
+          if (previousSlot) SESSION_SLOTS.set(previousSessionId, previousSlot);
+          sendQuotaExceeded(overLimit);
+          return;
+        }
+        if (previousSessionId) {
+          LIVE_SOCKETS.delete(previousSessionId);
+          clearAnswerClock(previousSessionId);
+        }
+
+        sessionId = newSessionId;
+        voiceChoice = msg.voice ?? getLanguage(requestedLanguage).voice;
+        ttsEnabled = msg.tts !== false;
+        liveTranscription = msg.liveTranscription === true;
+        const resumeToken = uuidv4();
+        LIVE_SOCKETS.set(sessionId, ws);
 
         // Log received values for debugging
         console.log("=== RECEIVED FROM FRONTEND ===");
@@ -1075,6 +5498,7 @@ wss.on("connection", (ws) => {
           level: msg.level,
           language: msg.language,
           maxTurns: msg.maxTurns,
+          resumeId: msg.resumeId,
         });
         console.log("Value types:", {
           role: typeof msg.role,
@@ -1142,18 +5566,23 @@ wss.on("connection", (ws) => {
         const detectedLanguage = detectProgrammingLanguage(roleText, jobDescriptionText);
         
         let state = {
-          candidateName: isValid(msg.candidateName) ? msg.candidateName : undefined,
+          candidateName: auth.candidateName ?? (isValid(msg.candidateName) ? msg.candidateName : undefined),
           role: isValid(msg.role) ? msg.role : 
                 (isValid(msg.roleName) ? msg.roleName : "Software Engineer"),
           roleId: isValid(msg.roleId) ? msg.roleId : undefined,
           customJobRole: isValid(msg.customJobRole) ? msg.customJobRole : undefined,
           jobDescription: isValid(msg.jobDescription) ? msg.jobDescription : undefined,
           selectedLanguage: isValid(msg.selectedLanguage) ? msg.selectedLanguage : (detectedLanguage || "java"),
-          selectedRound: isValid(msg.selectedRound) ? msg.selectedRound : "technical",
+          selectedRound: round.id,
           level: isValid(msg.level) ? msg.level : "junior",
-          language: isValid(msg.language) ? msg.language : "en",
-          maxTurns: (msg.maxTurns !== undefined && msg.maxTurns !== null) ? Number(msg.maxTurns) : 6,
+          language: requestedLanguage,
+          maxTurns,
+          // The interview clock starts now, with the slot, not after the greeting
+          endsAt: timeLimitMinutes ? Date.now() + timeLimitMinutes * 60 * 1000 : null,
+          answerTimeLimitSeconds,
           styleTemplate: undefined,
+          rubric,
+          resumeProfile,
           transcript: [],
           turns: 0,
           done: false,
@@ -1183,6 +5612,21 @@ wss.on("connection", (ws) => {
           language: state.language,
         };
         
+        // Saved before the persona is generated so its usage is booked to the session
+        await sessionStore.set(sessionId, {
+          state,
+          resumeToken,
+          owner: { tenant: auth.tenant, candidate: auth.candidate },
+          phase: PHASE_GENERATING,
+          voice: voiceChoice,
+          tts: ttsEnabled,
+          liveTranscription,
+        });
+
+        if (state.endsAt !== null) {
+          scheduleInterviewTimers(sessionId, state.endsAt);
+        }
+
         state = await styleGraph.invoke(state);
         
         console.log("=== STATE AFTER STYLEGRAPH ===");
@@ -1216,6 +5660,14 @@ wss.on("connection", (ws) => {
         
         // Only normalize fields that weren't set by frontend
         state = normalizeState(state, frontendValues);
+
+        // Required questions from the matching question banks
+        state.questionPlan = planBankQuestions(state, Array.isArray(msg.questionBankTags) ? msg.questionBankTags : []);
+        state.askedQuestions = [];
+        state.followUpsSinceQuestion = 0;
+        if (state.questionPlan.length > 0) {
+          console.log(`Question plan: ${state.questionPlan.map((q) => `${q.bankId}/${q.id}`).join(", ")}`);
+        }
         
         console.log("=== FINAL STATE AFTER NORMALIZE ===");
         console.log({
@@ -1228,275 +5680,493 @@ wss.on("connection", (ws) => {
         });
         
         // Verify round mapping
-        const roundInfo = {
-          "technical": { name: "Technical Round" },
-          "hr": { name: "HR Round" },
-          "managerial": { name: "Managerial Round" },
-          "system-design": { name: "System Design Round" },
-          "coding": { name: "Coding Round" },
-        };
-        const mappedRound = state.selectedRound ? roundInfo[state.selectedRound] : null;
-        
-        // Map language codes to language names for logging
-        const languageNames = {
-          "en": "English",
-          "hi": "Hindi",
-          "te": "Telugu",
-          "ta": "Tamil",
-          "fr": "French",
-        };
+        const mappedRound = getRound(state.selectedRound) || null;
         
         console.log("=== ROUND MAPPING ===");
         console.log({
           selectedRound: state.selectedRound,
-          mappedRound: mappedRound,
+          mappedRound: mappedRound ? mappedRound.name : null,
           language: state.language,
-          languageName: languageNames[state.language] || state.language,
+          languageName: getLanguage(state.language).name,
         });
-        SESSIONS.set(sessionId, { state });
+        await updateSession(sessionId, { state });
 
-        ws.send(JSON.stringify({ type: "session", sessionId }));
+        client().send(JSON.stringify({
+          type: "session",
+          sessionId,
+          resumeToken,
+          ...(state.endsAt !== null ? { endsAt: new Date(state.endsAt).toISOString() } : {}),
+        }));
         if (state.styleTemplate) {
-          ws.send(JSON.stringify({ type: "persona", text: state.styleTemplate }));
+          client().send(JSON.stringify({ type: "persona", text: state.styleTemplate }));
         }
 
         // greeting (voice)
-        const greeting = await speakGreeting(ws, state, voiceChoice);
+        const greeting = await speakGreeting(client(), state, voiceChoice, { tts: ttsEnabled });
         state.transcript.push({ from: "interviewer", text: greeting });
-        SESSIONS.set(sessionId, { state });
+        await updateSession(sessionId, { state, phase: PHASE_AWAITING_ANSWER, lastUtterances: [greeting] });
 
         // Send initial transcript with greeting
-        ws.send(JSON.stringify({
+        client().send(JSON.stringify({
           type: "transcript_update",
           transcript: state.transcript,
         }));
 
         // Expect candidate intro as first audio message
+        startAnswerClock(sessionId, state);
         return;
       }
 
-      // BEGIN audio
-      if (msg.type === "answer_audio_start") {
-        audioChunks = [];
-        audioFormat = msg.format || "webm"; // Store format from client
-        console.log(`Audio recording started with format: ${audioFormat}`);
-        return;
-      }
-
-      // END audio → transcribe → push candidate msg → continue or evaluate
-      if (msg.type === "answer_audio_end") {
-        const session = SESSIONS.get(sessionId);
-        if (!session) {
+      // RESUME an existing session on this socket after a dropped connection
+      if (msg.type === "resume") {
+        const session = await sessionStore.get(msg.sessionId);
+        // Another tenant's (or candidate's) session looks the same as a missing one
+        if (!session || !canAccessSession(auth, session)) {
           ws.send(JSON.stringify({ type: "error", error: "session_not_found" }));
           return;
         }
-        let state = normalizeState(session.state);
-        
-        // If interview is already done/stopped, don't process audio
-        if (state.done) {
+        if (!msg.resumeToken || !secretMatches(msg.resumeToken, session.resumeToken)) {
+          console.warn(`Rejected resume for session ${msg.sessionId}: invalid resume token`);
+          ws.send(JSON.stringify({ type: "error", error: "invalid_resume_token" }));
           return;
         }
 
-        // Check if we received any audio chunks
-        if (audioChunks.length === 0) {
-          console.warn("No audio chunks received for transcription");
-          state.transcript.push({ from: "candidate", text: "(no audio received)" });
-          ws.send(JSON.stringify({
-            type: "transcript_update",
-            transcript: state.transcript,
-          }));
-          return;
+        // Reattaching an unfinished interview counts against the concurrent sessions again
+        if (session.phase !== PHASE_DONE) {
+          const overLimit = reserveSessionSlot(quotaKey, msg.sessionId, { start: false });
+          if (overLimit) {
+            sendQuotaExceeded(overLimit);
+            return;
+          }
         }
 
-        // Determine file extension based on format (default to webm for backward compatibility)
-        const fileExtension = audioFormat === 'mp4' ? 'mp4' : 
-                             audioFormat === 'aac' ? 'm4a' : 
-                             'webm';
-        
-        // Save & transcribe (webm/opus or mp4/aac)
-        const tmpPath = path.join(TMP_DIR, `ans_${Date.now()}.${fileExtension}`);
-        const audioBuffer = Buffer.concat(audioChunks);
-        console.log(`Received ${audioChunks.length} audio chunks, total size: ${audioBuffer.length} bytes, format: ${audioFormat}`);
-        
-        try {
-          fs.writeFileSync(tmpPath, audioBuffer);
-        } catch (writeError) {
-          console.error("Error writing audio file:", writeError);
-          state.transcript.push({ from: "candidate", text: "(error saving audio)" });
-          ws.send(JSON.stringify({
-            type: "transcript_update",
-            transcript: state.transcript,
-          }));
-          return;
+        // A half-open previous socket must not keep receiving this session's messages
+        const previous = LIVE_SOCKETS.get(msg.sessionId);
+        if (previous && previous !== ws && previous.readyState === 1) {
+          previous.close(4000, "session_resumed");
         }
 
-        let transcriptText = "";
-        try {
-          console.log("Starting transcription with Whisper...");
-          const resp = await openai.audio.transcriptions.create({
-            model: "whisper-1",
-            file: fs.createReadStream(tmpPath),
-            response_format: "json",
-            temperature: 0,
-            language: state.language || "en",
-          });
-          transcriptText = (resp.text || "").trim();
-          console.log("Transcription result:", transcriptText || "(empty)");
-        } catch (e) {
-          console.error("STT error:", e.message || e);
-          console.error("Error details:", {
-            code: e.code,
-            status: e.status,
-            type: e.type,
-            message: e.message
-          });
-        } finally {
-          try {
-            fs.unlinkSync(tmpPath);
-          } catch (unlinkError) {
-            console.warn("Error deleting temp file:", unlinkError);
-          }
-        }
+        sessionId = msg.sessionId;
+        voiceChoice = session.voice ?? voiceChoice;
+        ttsEnabled = session.tts !== false;
+        liveTranscription = session.liveTranscription === true;
+        discardRecording();
+        LIVE_SOCKETS.set(sessionId, ws);
+
+        const state = normalizeState(session.state);
+        const status = session.phase || (state.done ? PHASE_DONE : PHASE_AWAITING_ANSWER);
+        console.log(`Session ${sessionId} resumed on a new socket, status: ${status}`);
 
-        if (transcriptText) {
-          state.transcript.push({ from: "candidate", text: transcriptText });
+        // The interview clock survives dropped sockets, but not a server restart
+        if (state.endsAt !== null && !state.done && !INTERVIEW_TIMERS.has(sessionId)) {
+          scheduleInterviewTimers(sessionId, state.endsAt);
+        }
+        if (status === PHASE_AWAITING_ANSWER) {
+          startAnswerClock(sessionId, state);
         } else {
-          console.warn("No transcription text received");
-          state.transcript.push({ from: "candidate", text: "(no speech recognized)" });
+          clearAnswerClock(sessionId);
         }
-        // Send transcript update to frontend so UI can display user's answer
+
+        ws.send(JSON.stringify({ type: "resumed", sessionId, status }));
         ws.send(JSON.stringify({
           type: "transcript_update",
           transcript: state.transcript,
         }));
+        // Interview already evaluated - replay the results the old socket may have missed
+        if (status === PHASE_DONE && session.evaluation) {
+          ws.send(JSON.stringify({ type: "done", ...session.evaluation }));
+        }
+        return;
+      }
 
-        // CRITICAL: Re-check state.done after processing audio - it might have been set by a "stop" message
-        // that arrived while we were processing the audio
-        state = normalizeState(SESSIONS.get(sessionId)?.state || state);
-        
-        // If interview is done/stopped, don't generate question - evaluation should start
-        if (state.done) {
-          // Evaluation was triggered, don't generate question
-          return;
+      // BEGIN audio
+      if (msg.type === "answer_audio_start") {
+        // Before any await: the binary frames that follow belong to this recording
+        startRecording(typeof msg.format === "string" ? msg.format : null);
+        const current = recording;
+        current.language = getLanguage((await sessionStore.get(sessionId))?.state?.language).whisperCode;
+        if (recording === current) {
+          startLiveTranscriber();
         }
+        console.log(`Audio recording started${liveTranscription ? " (live transcription)" : ""}`);
+        return;
+      }
 
-        // If we still have interviewer turns left, respond conversationally
-        // BUT: Check if interview is done/stopped first - don't generate question if evaluation is starting
-        if (state.turns < state.maxTurns - 1 && !state.done) {
-          const reply = await generateInterviewerTurn(state);
-          state.transcript.push({ from: "interviewer", text: reply });
-          state.turns += 1;
-          SESSIONS.set(sessionId, { state });
+      // END audio → transcribe → push candidate msg → continue or evaluate
+      if (msg.type === "answer_audio_end") {
+        await handleAudioEnd();
+        return;
+      }
 
-          // Send transcript update with interviewer's question
-          ws.send(JSON.stringify({
-            type: "transcript_update",
-            transcript: state.transcript,
-          }));
+      // Typed answer → same transcript, turn-counting and evaluation path as a voice answer
+      if (msg.type === "answer_text") {
+        await submissionRun;
+        const session = await sessionStore.get(sessionId);
+        if (!session) {
+          client().send(JSON.stringify({ type: "error", error: "session_not_found" }));
+          return;
+        }
+        if (normalizeState(session.state).done) {
+          return;
+        }
 
-          // Get language from state for TTS logging
-          const currentLanguage = state.language || "en";
-          console.log("=== SENDING INTERVIEWER REPLY TO TTS ===");
-          console.log({
-            language: currentLanguage,
-            textPreview: reply.substring(0, 200) + (reply.length > 200 ? "..." : ""),
-          });
-          await ttsToWS(ws, reply, voiceChoice, "mp3", currentLanguage);
+        const text = typeof msg.text === "string" ? msg.text.trim() : "";
+        if (!text) {
+          client().send(JSON.stringify({ type: "error", error: "empty_answer" }));
+          return;
+        }
+        if (text.length > MAX_TEXT_ANSWER_CHARS) {
+          client().send(JSON.stringify({ type: "error", error: "answer_too_long", maxLength: MAX_TEXT_ANSWER_CHARS }));
           return;
         }
 
-        // Last turn reached → evaluate
-        const evaluation = await evaluateConversation(state);
-        state.done = true;
-        state.overallScore = evaluation.overallScore;
-        state.transcript.push({ from: "interviewer", text: evaluation.summaryText });
-        SESSIONS.set(sessionId, { state });
+        const overBudget = await checkMonthlyBudget(usageScope.tenant);
+        if (overBudget) {
+          sendQuotaExceeded(overBudget);
+          return;
+        }
+        // Another answer's reply is still being generated
+        const claimed = await claimAnswer();
+        if (!claimed) {
+          client().send(JSON.stringify({ type: "error", error: "not_awaiting_answer" }));
+          return;
+        }
 
-        // OPTIMIZATION: Send evaluation results IMMEDIATELY (don't wait for TTS)
-        // This allows frontend to show results right away while TTS generates in background
-        ws.send(JSON.stringify({
-          type: "done",
-          summaryText: evaluation.summaryText,
-          overallScore: evaluation.overallScore,
-          rubric: evaluation.rubric,
-        }));
+        // A typed answer replaces any recording the client abandoned
+        discardRecording();
+        console.log(`Text answer received (${text.length} chars)`);
+        await handleCandidateAnswer(claimed, text);
+        return;
+      }
 
-        // Send final transcript update
-        ws.send(JSON.stringify({
-          type: "transcript_update",
-          transcript: state.transcript,
-        }));
+      // Claimed before any await, so answers sent after a submission wait for its result
+      if (msg.type === "code_submission" || msg.type === "design_submission") {
+        if (submissionRun) {
+          client().send(JSON.stringify({ type: "error", error: `${msg.type}_in_progress` }));
+          return;
+        }
+        const run = msg.type === "code_submission" ? handleCodeSubmission(msg) : handleDesignSubmission(msg);
+        submissionRun = run.catch(() => {});
+        try {
+          await run;
+        } finally {
+          submissionRun = null;
+        }
+        return;
+      }
 
-        // Generate TTS in background (non-blocking) - don't await, let it run async
-        const summaryLanguage = state.language || "en";
-        ttsToWS(ws, evaluation.summaryText, voiceChoice, "mp3", summaryLanguage)
-          .catch(error => {
-            console.error("TTS generation error (non-critical):", error);
-            // Don't block if TTS fails - evaluation is already sent to frontend
-          });
-        
+      // Replay the last interviewer reply without spending a turn or a TTS call
+      if (msg.type === "repeat_last") {
+        const session = await sessionStore.get(sessionId);
+        if (!session) {
+          client().send(JSON.stringify({ type: "error", error: "session_not_found" }));
+          return;
+        }
+        const state = normalizeState(session.state);
+        // Nothing to repeat once finished, and a reply being generated would talk over it
+        if (state.done || session.phase === PHASE_GENERATING) {
+          return;
+        }
+        if (state.repeats >= MAX_REPEATS) {
+          client().send(JSON.stringify({ type: "error", error: "repeat_limit_reached", maxRepeats: MAX_REPEATS }));
+          return;
+        }
+        await repeatLastUtterance(state);
         return;
       }
 
       // Manual stop (optional) → evaluate early
       if (msg.type === "stop") {
         // Clear any pending audio chunks to stop processing
-        audioChunks = [];
-        
-        const session = SESSIONS.get(sessionId);
+        discardRecording();
+        await submissionRun;
+
+        const session = await sessionStore.get(sessionId);
         if (!session) {
-          ws.send(JSON.stringify({ type: "error", error: "session_not_found" }));
+          client().send(JSON.stringify({ type: "error", error: "session_not_found" }));
           return;
         }
         let state = normalizeState(session.state);
         if (state.done) return;
-
-        const evaluation = await evaluateConversation(state);
-        state.done = true;
-        state.overallScore = evaluation.overallScore;
-        state.transcript.push({ from: "interviewer", text: evaluation.summaryText });
-        SESSIONS.set(sessionId, { state });
-
-        // OPTIMIZATION: Send evaluation results IMMEDIATELY (don't wait for TTS)
-        ws.send(JSON.stringify({
-          type: "done",
-          summaryText: evaluation.summaryText,
-          overallScore: evaluation.overallScore,
-          rubric: evaluation.rubric,
-        }));
-
-        // Send final transcript update
-        ws.send(JSON.stringify({
-          type: "transcript_update",
-          transcript: state.transcript,
-        }));
-
-        // Generate TTS in background (non-blocking)
-        const summaryLanguage = state.language || "en";
-        ttsToWS(ws, evaluation.summaryText, voiceChoice, "mp3", summaryLanguage)
-          .catch(error => {
-            console.error("TTS generation error (non-critical):", error);
-            // Don't block if TTS fails - evaluation is already sent to frontend
-          });
-        
+        await updateSession(sessionId, { phase: PHASE_GENERATING });
+        await includeSubmissions(sessionId, state);
+        await finishInterview(sessionId, state);
         return;
       }
     } catch (err) {
       console.error(err);
-      ws.send(JSON.stringify({ type: "error", error: "server_exception" }));
+      // Don't leave a resumed client waiting on a reply that will never come. The store may be
+      // what failed, and this handler's promise has nobody to report to.
+      if (sessionId) {
+        try {
+          await updateSession(sessionId, (record) => (record.phase === PHASE_GENERATING ? { phase: PHASE_AWAITING_ANSWER } : null));
+        } catch (storeError) {
+          console.error(`Error resetting session ${sessionId} after an exception:`, storeError);
+        }
+      }
+      client().send(JSON.stringify({ type: "error", error: "server_exception" }));
     }
-  });
+  }));
 });
 
 app.get("/health", (_, res) => res.json({ ok: true }));
 
-// Start the server
-server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`WebSocket server ready for connections`);
+/* --------------------- REST API (sessions & results) --------------------- */
+/** Read-only access to interviews after the socket has closed:
+ *   GET /sessions?role=&round=&from=&to=&page=&pageSize=
+ *   GET /sessions/:id
+ *   GET /sessions/:id/transcript
+ *   GET /sessions/:id/evaluation
+ *   GET /sessions/:id/usage
+ *   GET /usage/daily?from=&to=   (admins and reviewers; see Usage accounting)
+ * The resume token is never exposed here. Each credential only sees the sessions of its tenant
+ * (candidates only their own); other sessions answer 404 like missing ones.
+ */
+app.use("/sessions", requireAuth);
+app.use("/usage", requireAuth);
+
+const SESSIONS_PAGE_SIZE_DEFAULT = 20;
+const SESSIONS_PAGE_SIZE_MAX = 100;
+
+function sessionSummary(id, record) {
+  const s = normalizeState(record.state);
+  return {
+    sessionId: id,
+    status: record.phase || (s.done ? PHASE_DONE : PHASE_AWAITING_ANSWER),
+    createdAt: record.createdAt ? new Date(record.createdAt).toISOString() : null,
+    updatedAt: record.updatedAt ? new Date(record.updatedAt).toISOString() : null,
+    candidateName: s.candidateName ?? null,
+    role: s.customJobRole || s.role,
+    level: s.level,
+    round: s.selectedRound,
+    language: s.language,
+    turns: s.turns,
+    maxTurns: s.maxTurns,
+    done: s.done,
+    overallScore: record.evaluation ? record.evaluation.overallScore : null,
+    evaluationStatus: record.evaluation ? record.evaluation.status || EVALUATION_COMPLETED : null,
+    costUsd: sessionUsage(id, record).costUsd,
+    bankQuestionsAsked: s.askedQuestions,
+  };
+}
+
+// Parse an optional ISO date query param; returns undefined when absent, NaN when invalid
+function parseDateParam(value) {
+  if (value === undefined || value === "") return undefined;
+  return new Date(String(value)).getTime();
+}
+
+app.get("/sessions", async (req, res) => {
+  const { role, round } = req.query;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: "invalid_date" });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(
+    SESSIONS_PAGE_SIZE_MAX,
+    Math.max(1, parseInt(req.query.pageSize, 10) || SESSIONS_PAGE_SIZE_DEFAULT)
+  );
+
+  const records = await sessionStore.list();
+  const matches = records
+    .filter((record) => canAccessSession(req.auth, record))
+    .filter((record) => {
+      const s = normalizeState(record.state);
+      if (role) {
+        const wanted = String(role).toLowerCase();
+        const roles = [s.role, s.customJobRole, s.roleId].filter(Boolean).map((r) => String(r).toLowerCase());
+        if (!roles.includes(wanted)) return false;
+      }
+      if (round && s.selectedRound !== round) return false;
+      if (from !== undefined && (record.createdAt || 0) < from) return false;
+      if (to !== undefined && (record.createdAt || 0) > to) return false;
+      return true;
+    })
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+  res.json({
+    sessions: matches
+      .slice((page - 1) * pageSize, page * pageSize)
+      .map((record) => sessionSummary(record.id, record)),
+    page,
+    pageSize,
+    total: matches.length,
+  });
+});
+
+app.get("/sessions/:id", async (req, res) => {
+  const record = await sessionStore.get(req.params.id);
+  if (!record || !canAccessSession(req.auth, record)) {
+    return res.status(404).json({ error: "session_not_found" });
+  }
+  res.json(sessionSummary(req.params.id, record));
+});
+
+app.get("/sessions/:id/transcript", async (req, res) => {
+  const record = await sessionStore.get(req.params.id);
+  if (!record || !canAccessSession(req.auth, record)) {
+    return res.status(404).json({ error: "session_not_found" });
+  }
+  res.json({
+    sessionId: req.params.id,
+    transcript: normalizeState(record.state).transcript,
+  });
+});
+
+app.get("/sessions/:id/evaluation", async (req, res) => {
+  const record = await sessionStore.get(req.params.id);
+  if (!record || !canAccessSession(req.auth, record)) {
+    return res.status(404).json({ error: "session_not_found" });
+  }
+  if (!record.evaluation) {
+    // Interview still running (or stopped before evaluation finished)
+    return res.status(404).json({ error: "evaluation_not_ready", status: sessionSummary(req.params.id, record).status });
+  }
+  res.json({
+    sessionId: req.params.id,
+    // Evaluations stored before the status existed always completed
+    status: record.evaluation.status || EVALUATION_COMPLETED,
+    ...(record.evaluation.error ? { error: record.evaluation.error } : {}),
+    summaryText: record.evaluation.summaryText,
+    overallScore: record.evaluation.overallScore,
+    rubric: record.evaluation.rubric,
+    scores: record.evaluation.scores,
+    timeline: record.evaluation.timeline || [],
+    coverage: record.evaluation.coverage ?? null,
+  });
+});
+
+app.get("/sessions/:id/usage", async (req, res) => {
+  const record = await sessionStore.get(req.params.id);
+  if (!record || !canAccessSession(req.auth, record)) {
+    return res.status(404).json({ error: "session_not_found" });
+  }
+  res.json({
+    sessionId: req.params.id,
+    tenant: record.owner?.tenant ?? DEFAULT_USAGE_TENANT,
+    usage: sessionUsage(req.params.id, record),
+  });
+});
+
+// Daily totals per tenant for billing; from/to are inclusive UTC days, the last 30 by default
+app.get("/usage/daily", async (req, res) => {
+  if (req.auth.role === "candidate") {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: "invalid_date" });
+  }
+  const toDay = usageDay(to ?? Date.now());
+  const fromDay = usageDay(from ?? Date.parse(toDay) - (USAGE_DAILY_DEFAULT_DAYS - 1) * DAY_MS);
+
+  // Without authentication every tenant is visible, like every session is
+  const tenant = req.auth.kind === "none" ? undefined : req.auth.tenant ?? DEFAULT_USAGE_TENANT;
+  const days = (await usageLedger.range(fromDay, toDay, tenant))
+    .sort((a, b) => a.day.localeCompare(b.day) || a.tenant.localeCompare(b.tenant));
+
+  res.json({
+    from: fromDay,
+    to: toDay,
+    days,
+    totals: mergeUsage(days.map((row) => row.usage)),
+  });
 });
 
+/* --------------------- REST API (resumes) --------------------- */
+/** Resume uploads for personalized interviews (see Resumes):
+ *   POST   /resumes       body: the file itself (text/plain, DOCX or PDF), up to RESUME_MAX_MB
+ *                         -> 201 { resumeId, format, profile }
+ *   GET    /resumes/:id   -> { resumeId, format, profile, uploadedAt }
+ *   DELETE /resumes/:id   -> 204
+ * Resumes belong to the uploading tenant (and candidate), with the same visibility rules as sessions.
+ */
+app.use("/resumes", requireAuth);
+
+const readResumeBody = express.raw({ type: () => true, limit: RESUME_MAX_BYTES });
+
+function resumeSummary(id, record) {
+  return {
+    resumeId: id,
+    format: record.format,
+    profile: record.profile,
+    uploadedAt: record.createdAt ? new Date(record.createdAt).toISOString() : null,
+  };
+}
+
+app.post("/resumes", (req, res, next) => readResumeBody(req, res, (err) => {
+  if (!err) return next();
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: "resume_too_large", maxBytes: RESUME_MAX_BYTES });
+  }
+  res.status(400).json({ error: "invalid_body" });
+}), async (req, res) => {
+  const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (buffer.length === 0) {
+    return res.status(400).json({ error: "empty_resume" });
+  }
+  const format = detectResumeFormat(buffer, req.headers["content-type"]);
+  if (!format) {
+    return res.status(415).json({ error: "unsupported_resume_format", supportedFormats: RESUME_FORMATS });
+  }
+
+  let text;
+  try {
+    text = (await extractResumeText(buffer, format)).trim();
+  } catch (err) {
+    console.warn(`Could not read ${format} resume:`, err.message);
+    return res.status(422).json({ error: "unreadable_resume" });
+  }
+  // Scanned PDFs have no text layer; there is no OCR
+  if (!text) {
+    return res.status(422).json({ error: "unreadable_resume", message: "The resume contains no text" });
+  }
+
+  const tenant = req.auth.tenant ?? DEFAULT_USAGE_TENANT;
+  const overBudget = await checkMonthlyBudget(tenant);
+  if (overBudget) {
+    res.setHeader("Retry-After", String(overBudget.retryAfter));
+    return res.status(429).json({ error: "quota_exceeded", ...overBudget });
+  }
+
+  let profile;
+  try {
+    profile = await usageContext.run({ tenant, sessionId: () => null }, () => extractResumeProfile(text));
+  } catch (err) {
+    console.error("Resume profile extraction failed:", err.message);
+    return res.status(502).json({ error: "resume_extraction_failed" });
+  }
 
+  const resumeId = uuidv4();
+  const record = { owner: { tenant: req.auth.tenant, candidate: req.auth.candidate }, format, profile };
+  await resumeStore.set(resumeId, record);
+  console.log(`=== RESUME ${resumeId} (${format}, ${text.length} chars) ===`);
+  res.status(201).json({ resumeId, format, profile });
+});
 
+app.get("/resumes/:id", async (req, res) => {
+  const record = await resumeStore.get(req.params.id);
+  if (!record || !canAccessSession(req.auth, record)) {
+    return res.status(404).json({ error: "resume_not_found" });
+  }
+  res.json(resumeSummary(req.params.id, record));
+});
 
+app.delete("/resumes/:id", async (req, res) => {
+  const record = await resumeStore.get(req.params.id);
+  if (!record || !canAccessSession(req.auth, record)) {
+    return res.status(404).json({ error: "resume_not_found" });
+  }
+  await resumeStore.delete(req.params.id);
+  res.sendStatus(204);
+});
 
+// Start the server
+server.listen(PORT, () => {
+  console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`WebSocket server ready for connections`);
+});